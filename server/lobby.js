@@ -0,0 +1,128 @@
+// Room directory for the menu's room browser. Pairs with RoomDirectory in
+// src/directory.js. Hosts of public rooms PUT their listing every few seconds
+// and listings nobody refreshes expire, so there is nothing to store - after a
+// restart hosts list themselves again within one refresh.
+//   GET    /rooms         -> { rooms: [{ code, name, players, maxPlayers, rules, map, inProgress }, ...] }
+//   PUT    /rooms/:code   { key, name, players, maxPlayers, rules, map, inProgress }
+//   DELETE /rooms/:code   { key }
+// `key` is a random string the host picks; a listing only changes or goes
+// away for the same key (or once it has expired).
+//
+// Usage: npm run lobby            (listens on 8788)
+//        PORT=9000 npm run lobby
+import http from 'http';
+import { cleanText } from '../src/text.js';
+
+const PORT = Number(process.env.PORT) || 8788;
+const LISTING_TTL = 30000; // ms - hosts refresh every 10s
+const MAX_ROOMS = 200;
+const MAX_BODY = 2048;     // bytes
+
+const rooms = new Map(); // code -> { key, listing, expiresAt }
+
+function readText(v, maxLength) {
+  if (typeof v !== 'string') return null;
+  return cleanText(v).slice(0, maxLength) || null;
+}
+
+function isCount(v) {
+  return Number.isInteger(v) && v >= 0 && v <= 64;
+}
+
+// The fields we keep from a PUT body, or null if it isn't a listing
+function readListing(code, body) {
+  const name = readText(body.name, 24);
+  const rules = readText(body.rules, 100);
+  if (!name || !rules || !isCount(body.players) || !isCount(body.maxPlayers)) return null;
+  return {
+    code,
+    name,
+    players: body.players,
+    maxPlayers: body.maxPlayers,
+    rules,
+    map: readText(body.map, 24),
+    inProgress: body.inProgress === true
+  };
+}
+
+function prune(now) {
+  for (const [code, room] of rooms) {
+    if (room.expiresAt <= now) rooms.delete(code);
+  }
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString() || '{}'));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return reply(res, 204);
+
+  const now = Date.now();
+  prune(now);
+  const path = new URL(req.url, 'http://localhost').pathname;
+
+  if (path === '/rooms' && req.method === 'GET') {
+    return reply(res, 200, { rooms: Array.from(rooms.values(), (room) => room.listing) });
+  }
+
+  const match = /^\/rooms\/([A-Z0-9]{4,12})$/.exec(path);
+  if (!match || (req.method !== 'PUT' && req.method !== 'DELETE')) return reply(res, 404, { error: 'not found' });
+  const code = match[1];
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (e) {
+    return reply(res, 400, { error: 'bad body' });
+  }
+  const key = readText(body && body.key, 64);
+  if (!key) return reply(res, 400, { error: 'missing key' });
+
+  const existing = rooms.get(code);
+  if (existing && existing.key !== key) return reply(res, 403, { error: 'listed by another host' });
+
+  if (req.method === 'DELETE') {
+    rooms.delete(code);
+    return reply(res, 204);
+  }
+
+  const listing = readListing(code, body);
+  if (!listing) return reply(res, 400, { error: 'bad listing' });
+  if (!existing && rooms.size >= MAX_ROOMS) return reply(res, 503, { error: 'directory full' });
+  rooms.set(code, { key, listing, expiresAt: now + LISTING_TTL });
+  return reply(res, 204);
+});
+
+server.listen(PORT, () => {
+  console.log('Lobby service listening on http://0.0.0.0:' + PORT);
+});
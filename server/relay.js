@@ -0,0 +1,91 @@
+// Tiny WebSocket relay for LAN play without the public PeerJS signaling server.
+// Pairs with WebSocketTransport in src/transport.js. Text frames are JSON:
+//   { op: 'open', id? }                 register (random id if omitted)
+//   { op: 'connect' | 'accept' | 'data' | 'close', to, cid, data? }
+// The relay stamps `from` on everything it forwards and announces
+// { op: 'leave', id } when a socket goes away.
+// Binary frames carry game data as-is: [route length u8][route][payload], where
+// the route is "to|cid" from the sender and is rewritten to "from|cid".
+// Malformed frames are dropped.
+//
+// Usage: npm run relay            (listens on 8787)
+//        PORT=9000 npm run relay
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const sockets = new Map(); // id -> ws
+
+function randomId() {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+function send(ws, msg) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+}
+
+// Forward a binary frame from `from`, readdressed to name the sender
+function forwardBinary(from, frame) {
+  if (frame.length < 1 || frame[0] === 0 || 1 + frame[0] > frame.length) return;
+  const route = frame.toString('utf8', 1, 1 + frame[0]);
+  const split = route.indexOf('|');
+  if (split <= 0) return;
+  const target = sockets.get(route.slice(0, split));
+  if (!target || target.readyState !== target.OPEN) return;
+  const header = Buffer.from(from + route.slice(split));
+  if (header.length > 255) return;
+  target.send(Buffer.concat([Buffer.from([header.length]), header, frame.subarray(1 + frame[0])]));
+}
+
+const wss = new WebSocketServer({ port: PORT });
+
+wss.on('connection', (ws) => {
+  let id = null;
+
+  ws.on('message', (raw, isBinary) => {
+    if (isBinary) {
+      if (id) forwardBinary(id, Buffer.isBuffer(raw) ? raw : Buffer.concat(raw));
+      return;
+    }
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch (e) {
+      return;
+    }
+
+    if (msg.op === 'open') {
+      const wanted = typeof msg.id === 'string' && msg.id ? msg.id : randomId();
+      if (id || sockets.has(wanted)) {
+        send(ws, { op: 'error', type: 'unavailable-id', message: 'ID "' + wanted + '" is taken' });
+        return;
+      }
+      id = wanted;
+      sockets.set(id, ws);
+      send(ws, { op: 'open', id });
+      return;
+    }
+
+    if (!id) return;
+
+    const target = sockets.get(msg.to);
+    if (!target) {
+      if (msg.op === 'connect') {
+        send(ws, { op: 'error', type: 'peer-unavailable', to: msg.to, cid: msg.cid, message: 'Could not connect to peer ' + msg.to });
+      }
+      return;
+    }
+
+    send(target, { op: msg.op, from: id, cid: msg.cid, data: msg.data });
+  });
+
+  ws.on('close', () => {
+    if (!id) return;
+    sockets.delete(id);
+    for (const other of sockets.values()) {
+      send(other, { op: 'leave', id });
+    }
+  });
+});
+
+console.log('Relay listening on ws://0.0.0.0:' + PORT);
@@ -0,0 +1,119 @@
+import { getArenaInset, isCellBlocked } from './game.js';
+import { createRng, TICK_RATE } from './simulation.js';
+
+// Computer-controlled players.
+// Bots are ordinary players in the host's GameSimulation. Before each tick the
+// host asks every bot for a turning value and feeds it through setInput like a
+// human's input, so replays record bots the same way and never re-run them.
+//
+// A bot looks ahead by tracing the arc each turning choice would carry it
+// along and checking the spatial grid for trails and walls on the way; it
+// steers along whichever arc stays clear the longest. Better bots also treat
+// the line each opponent is heading along as trail that is about to exist.
+
+// thinkEvery: ticks between decisions (reaction time)
+// lookahead:  ticks of travel each arc is traced for
+// blunder:    chance of picking a random choice instead of the best one
+// turnTicks:  how long a turn lasts in the traced arcs (null = the whole arc);
+//             more entries let a bot see "turn a little, then go straight"
+// anticipate: avoid where opponents are heading, not just where they've been
+export const BOT_LEVELS = {
+  easy: { thinkEvery: 10, lookahead: 25, blunder: 0.2, turnTicks: [null], anticipate: false },
+  normal: { thinkEvery: 5, lookahead: 45, blunder: 0.05, turnTicks: [null, 20], anticipate: true },
+  hard: { thinkEvery: 2, lookahead: 70, blunder: 0, turnTicks: [null, 10, 30], anticipate: true }
+};
+
+const SELF_CLEARANCE = 20;  // px - skip the cells around our own head
+const SAMPLE_SPACING = 8;   // px between grid checks along an arc
+const PATH_MARGIN = 12;     // px either side of an opponent's projected line
+const WALL_LOOKAHEAD = 1;   // s - how far ahead a shrinking arena is judged
+
+export class Bot {
+  constructor(id, level, seed) {
+    this.id = id;
+    this.level = level;
+    this.settings = BOT_LEVELS[level];
+    this.random = createRng(seed);
+    this.nextThinkTick = 0;
+  }
+
+  // Turning value for this tick, or null to keep the current one
+  update(sim) {
+    const p = sim.players[this.id];
+    if (!p || !p.alive || sim.phase !== 'round' || sim.tick < this.nextThinkTick) return null;
+    this.nextThinkTick = sim.tick + this.settings.thinkEvery;
+
+    // The grid is only read: rebuilding it here would change what the
+    // simulation collides with and break replays. checkCollisions keeps it current.
+    const speed = sim.getSpeed();
+    // Stay clear of where the walls will be a second from now
+    const inset = getArenaInset((sim.tick - sim.roundStartTick) / TICK_RATE + WALL_LOOKAHEAD, sim.rules);
+    const { lookahead, blunder, turnTicks, anticipate } = this.settings;
+
+    if (blunder > 0 && this.random() < blunder) {
+      return Math.floor(this.random() * 3) - 1;
+    }
+    const opponents = anticipate ? projectOpponents(sim.players, p, sim.rules.teamCollisions === 0) : null;
+
+    // Straight first, then the current turn, so ties don't make the bot wobble
+    const side = p.turning || (this.random() < 0.5 ? -1 : 1);
+    const choices = [0, side, -side];
+    let best = 0;
+    let bestTicks = -1;
+    for (const turning of choices) {
+      for (const ticks of turning === 0 ? [null] : turnTicks) {
+        const clear = traceArc(p, turning, ticks, speed, sim.rules.turnSpeed, lookahead, sim.grid, inset, opponents);
+        if (clear > bestTicks) {
+          best = turning;
+          bestTicks = clear;
+        }
+      }
+      if (bestTicks >= lookahead) break;
+    }
+    return best;
+  }
+}
+
+// Every other live bike's head and heading (teammates too, unless their trails are harmless)
+function projectOpponents(players, self, skipTeammates) {
+  const opponents = [];
+  for (const id in players) {
+    const o = players[id];
+    if (o === self || !o.alive) continue;
+    if (skipTeammates && self.team !== null && o.team === self.team) continue;
+    opponents.push({ x: o.x, y: o.y, dx: Math.cos(o.angle), dy: Math.sin(o.angle) });
+  }
+  return opponents;
+}
+
+// Will an opponent riding straight on have laid trail at (x, y) within `reach` px?
+function onOpponentPath(x, y, reach, opponents) {
+  for (const o of opponents) {
+    const rx = x - o.x;
+    const ry = y - o.y;
+    const along = rx * o.dx + ry * o.dy;
+    if (along <= 0 || along > reach) continue;
+    const across = rx * o.dy - ry * o.dx;
+    if (across < PATH_MARGIN && across > -PATH_MARGIN) return true;
+  }
+  return false;
+}
+
+// Ticks `p` survives turning `turning` for `turnTicks` ticks (then straight),
+// up to `lookahead`
+function traceArc(p, turning, turnTicks, speed, turnSpeed, lookahead, grid, inset, opponents) {
+  let x = p.x;
+  let y = p.y;
+  let angle = p.angle;
+  const stride = Math.max(1, Math.round(SAMPLE_SPACING / speed));
+
+  for (let t = 1; t <= lookahead; t++) {
+    if (turnTicks === null || t <= turnTicks) angle += turning * turnSpeed;
+    x += Math.cos(angle) * speed;
+    y += Math.sin(angle) * speed;
+    if (t * speed < SELF_CLEARANCE || t % stride !== 0) continue;
+    if (isCellBlocked(x, y, grid, inset)) return t;
+    if (opponents && onOpponentPath(x, y, t * speed, opponents)) return t;
+  }
+  return lookahead;
+}
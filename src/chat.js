@@ -0,0 +1,40 @@
+// Lobby and match chat, and quick emotes.
+// Clients send a line of text or an emote's index to the host, which cleans
+// it up, rate-limits each peer and relays it to everyone with the sender's
+// name. Chat is rendered as text only - it never reaches innerHTML.
+
+import { cleanText } from './text.js';
+
+export const MAX_CHAT_LENGTH = 120; // matches the chat input
+export const EMOTES = ['GG', 'NICE', 'OOPS', 'SORRY', 'WOW', 'GL HF', 'CLOSE ONE', 'RIP'];
+export const DEFAULT_EMOTE_KEYS = [0, 1, 2, 3]; // emotes on number keys 1-4
+
+const CHAT_PER_SECOND = 0.5; // steady budget: a line every two seconds
+const CHAT_BURST = 4;
+
+// Strip control and direction-changing characters, collapse whitespace and
+// cap the length. Returns '' when nothing is left to send.
+export function sanitizeChat(text) {
+  return cleanText(text).slice(0, MAX_CHAT_LENGTH);
+}
+
+export function isEmote(v) {
+  return Number.isInteger(v) && v >= 0 && v < EMOTES.length;
+}
+
+// Chat and emotes share one budget per sender. Clients check their own
+// before sending so the host's copy only ever stops a modified client.
+export class ChatLimiter {
+  constructor(now = Date.now()) {
+    this.tokens = CHAT_BURST;
+    this.refilledAt = now;
+  }
+
+  take(now = Date.now()) {
+    this.tokens = Math.min(CHAT_BURST, this.tokens + (now - this.refilledAt) * CHAT_PER_SECOND / 1000);
+    this.refilledAt = now;
+    if (this.tokens < 1) return false;
+    this.tokens--;
+    return true;
+  }
+}
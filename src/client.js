@@ -1,16 +1,35 @@
-import Network from './network.js';
-import { CANVAS_W, CANVAS_H, getGameSpeed, applyGameState, serializeGameState, MAX_LIVES, TRAIL_MAX } from './game.js';
+import Network, { normalizeRoomCode, isRoomCode } from './network.js';
+import { peerOptions, readPeerSettings } from './transport.js';
+import {
+    CANVAS_W, CANVAS_H, COLORS, getGameSpeed, serializeGameState, getArenaInset, getNextShrink,
+    isTrailGap, EFFECT_BOOST, EFFECT_PHASE, EFFECT_SHIELD, SHRINK_WARNING, SHRINK_DURATION, PORTAL_RADIUS
+} from './game.js';
+import { RULE_KEYS, RULE_LIMITS, BUILTIN_PRESETS, normalizeRules, sameRules, describeRules } from './rules.js';
+import { TEAM_NAMES, teamColor } from './teams.js';
+import { BUILTIN_MAPS, parseMap, sameMap, fitRulesToMap } from './maps.js';
+import { EMOTES, DEFAULT_EMOTE_KEYS } from './chat.js';
+import { RoomDirectory } from './directory.js';
+import { SnapshotBuffer, LocalPredictor } from './interpolation.js';
+import { ReplayPlayer, parseReplay, replayFileName, REPLAY_SPEEDS } from './replay.js';
+import { TICK_RATE } from './simulation.js';
 
 // DOM Elements
 const nameInput = document.getElementById("playerName");
+const passwordInput = document.getElementById("roomPassword");
+const joinCodeInput = document.getElementById("joinCode");
+const roomLockEl = document.getElementById("roomLock");
 const hostBtn = document.getElementById("hostBtn");
 const openJoin = document.getElementById("openJoin");
 const joinArea = document.getElementById("joinArea");
 const joinBtn = document.getElementById("joinBtn");
+const browseBtn = document.getElementById("browseBtn");
+const roomBrowser = document.getElementById("roomBrowser");
+const roomListEl = document.getElementById("roomList");
 const lobby = document.getElementById("lobby");
 const startBtn = document.getElementById("startGame");
 const roomCodeText = document.getElementById("roomCodeDisplay");
 const scoreBoard = document.getElementById("scoreBoard");
+const killFeedEl = document.getElementById("killFeed");
 const canvas = document.getElementById("game");
 const ctx = canvas.getContext("2d");
 const menuEl = document.getElementById("menu");
@@ -30,14 +49,77 @@ const leaderboard = document.getElementById("leaderboard");
 const leaderboardEntries = document.getElementById("leaderboardEntries");
 const restartBtn = document.getElementById("restartBtn");
 const quitBtn = document.getElementById("quitBtn");
+const rejoinBtn = document.getElementById("rejoinBtn");
+const watchReplayBtn = document.getElementById("watchReplayBtn");
+const replayFileInput = document.getElementById("replayFile");
+const saveReplayBtn = document.getElementById("saveReplayBtn");
+const replayControls = document.getElementById("replayControls");
+const replayPlayBtn = document.getElementById("replayPlayBtn");
+const replayPrevBtn = document.getElementById("replayPrevBtn");
+const replayNextBtn = document.getElementById("replayNextBtn");
+const replaySeek = document.getElementById("replaySeek");
+const replayMarks = document.getElementById("replayMarks");
+const replayTimeEl = document.getElementById("replayTime");
+const replaySpeedSelect = document.getElementById("replaySpeed");
+const replayFollowSelect = document.getElementById("replayFollow");
+const replayCloseBtn = document.getElementById("replayCloseBtn");
+const spectateBtn = document.getElementById("spectateBtn");
+const botControls = document.getElementById("botControls");
+const botLevelSelect = document.getElementById("botLevel");
+const addBotBtn = document.getElementById("addBotBtn");
+const lobbyRoleBtn = document.getElementById("lobbyRoleBtn");
+const matchRoleBtn = document.getElementById("matchRoleBtn");
+const spectatorControls = document.getElementById("spectatorControls");
+const spectateFollowSelect = document.getElementById("spectateFollow");
+const roundInfoEl = document.getElementById("roundInfo");
+const rulesPresetSelect = document.getElementById("rulesPreset");
+const rulesFields = document.getElementById("rulesFields");
+const savePresetBtn = document.getElementById("savePresetBtn");
+const deletePresetBtn = document.getElementById("deletePresetBtn");
+const mapSelect = document.getElementById("mapSelect");
+const loadMapBtn = document.getElementById("loadMapBtn");
+const mapFileInput = document.getElementById("mapFile");
+const chatEl = document.getElementById("chat");
+const chatLog = document.getElementById("chatLog");
+const chatInput = document.getElementById("chatInput");
+const emoteKeysEl = document.getElementById("emoteKeys");
+const netStatsEl = document.getElementById("netStats");
+const netStatsTitle = document.getElementById("netStatsTitle");
+const netStatsRows = document.getElementById("netStatsRows");
+
+// Rejoin info from the last room we were in (survives a page reload, not a closed tab)
+const SESSION_KEY = 'tron-session';
+// The id and token that room gave us - kept after we leave, and sent with any
+// later join to the same room so its host still knows us (and any ban holds)
+const IDENTITY_KEY = 'tron-room-identity';
+// The host's own rule presets (kept across visits)
+const PRESETS_KEY = 'tron-rule-presets';
+// Which emote each number key sends
+const EMOTE_KEYS_KEY = 'tron-emote-keys';
+// Whether the network diagnostics overlay is open
+const NET_STATS_KEY = 'tron-net-stats';
+
+// Transport selection: ?transport=websocket&relay=ws://192.168.1.10:8787 for LAN play
+const urlParams = new URLSearchParams(window.location.search);
+const relayUrl = urlParams.get('relay');
+const transportKind = urlParams.get('transport') || (relayUrl ? 'websocket' : 'peer');
+// Signaling and STUN/TURN servers for the peer transport (VITE_* at build time, or ?peerHost=&turn=...)
+const peerSettings = readPeerSettings(import.meta.env, urlParams);
+// Room browser: ?lobby=http://localhost:8788 (see server/lobby.js)
+const lobbyUrl = urlParams.get('lobby');
+const roomDirectory = lobbyUrl ? new RoomDirectory(lobbyUrl) : null;
 
 // Game state
-const network = new Network();
+const network = new Network({
+    transport: transportKind,
+    transportOptions: relayUrl ? { url: relayUrl } : transportKind === 'peer' ? peerOptions(peerSettings) : undefined,
+    directory: roomDirectory
+});
 let myId = null;
 let isGameActive = false;
 let lastCountdown = -1;
 let currentWinner = null;
-let lastScoreHtml = "";
+let lastScoreKey = "";
 
 // Static grid canvas
 const gridCanvas = document.createElement('canvas');
@@ -52,9 +134,27 @@ trailCanvas.height = CANVAS_H;
 const trailCtx = trailCanvas.getContext('2d');
 
 // Track how many trail points we've already drawn per player (incremental rendering)
+// Counts are trailTotal values, so they keep advancing after the trail buffer wraps
 const trailDrawnCount = new Map();
+const trailDrawnEpoch = new Map(); // a different epoch means points were erased - redraw everything
 let lastRoundActive = false;
 
+// Smoothing between 10Hz host updates (clients only - the host renders its own physics)
+const snapshots = new SnapshotBuffer();
+const predictor = new LocalPredictor();
+const renderPose = { x: 0, y: 0, angle: 0, trailTotal: 0 };
+
+// Replay viewer - while set, the canvas draws the replay instead of the live match
+let replay = null;
+let lastReplayFrame = 0;
+let lastReplayHudAt = 0;
+let followId = null; // player the camera follows (replays and spectators)
+const FOLLOW_ZOOM = 2;
+const CAMERA_EASE = 0.15;
+const REPLAY_SEEK_STEP = 5 * TICK_RATE;   // arrow keys jump 5s
+const REPLAY_DEATH_LEAD = 2 * TICK_RATE;  // jumping to a death starts 2s before it
+const camera = { x: CANVAS_W / 2, y: CANVAS_H / 2, zoom: 1 };
+
 // Glow cache
 const glowCache = {};
 
@@ -64,6 +164,34 @@ function showError(msg) {
     setTimeout(() => errorToast.classList.remove('show'), 3000);
 }
 
+function loadSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveSession(session) {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    sessionStorage.setItem(IDENTITY_KEY, JSON.stringify({ roomCode: session.roomCode, playerId: session.playerId, token: session.token }));
+}
+
+// { playerId, token } from our last visit to `roomCode`, or null
+function identityFor(roomCode) {
+    try {
+        const identity = JSON.parse(sessionStorage.getItem(IDENTITY_KEY));
+        return identity && identity.roomCode === roomCode ? { playerId: identity.playerId, token: identity.token } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function clearSession() {
+    sessionStorage.removeItem(SESSION_KEY);
+    rejoinBtn.style.display = 'none';
+}
+
 function getGlowImage(color) {
     if (glowCache[color]) return glowCache[color];
 
@@ -85,42 +213,148 @@ function getGlowImage(color) {
     return glowCanvas;
 }
 
-// Render static grid once
-function renderStaticGrid() {
+// Portal pairs are told apart by color
+const PORTAL_COLORS = ["#00e5ff", "#e040fb", "#39ff14", "#ffeb3b"];
+
+// Render static grid once (again when the arena or map changes), with the
+// map's walls and portals on top
+function renderStaticGrid(map = null) {
+    gridCtx.clearRect(0, 0, gridCanvas.width, gridCanvas.height);
     gridCtx.strokeStyle = 'rgba(255, 140, 0, 0.03)';
     gridCtx.lineWidth = 1;
 
-    for (let x = 0; x <= CANVAS_W; x += 50) {
+    for (let x = 0; x <= gridCanvas.width; x += 50) {
         gridCtx.beginPath();
         gridCtx.moveTo(x, 0);
-        gridCtx.lineTo(x, CANVAS_H);
+        gridCtx.lineTo(x, gridCanvas.height);
         gridCtx.stroke();
     }
 
-    for (let y = 0; y <= CANVAS_H; y += 50) {
+    for (let y = 0; y <= gridCanvas.height; y += 50) {
         gridCtx.beginPath();
         gridCtx.moveTo(0, y);
-        gridCtx.lineTo(CANVAS_W, y);
+        gridCtx.lineTo(gridCanvas.width, y);
+        gridCtx.stroke();
+    }
+    if (!map) return;
+
+    gridCtx.fillStyle = 'rgba(255, 140, 0, 0.15)';
+    gridCtx.strokeStyle = '#ff8c00';
+    gridCtx.lineWidth = 2;
+    for (const wall of map.walls) {
+        gridCtx.beginPath();
+        gridCtx.moveTo(wall[0][0], wall[0][1]);
+        for (let i = 1; i < wall.length; i++) gridCtx.lineTo(wall[i][0], wall[i][1]);
+        gridCtx.closePath();
+        gridCtx.fill();
         gridCtx.stroke();
     }
+
+    map.portals.forEach((portal, i) => {
+        const color = PORTAL_COLORS[i % PORTAL_COLORS.length];
+        for (const [x, y] of [portal.a, portal.b]) {
+            gridCtx.globalAlpha = 0.2;
+            gridCtx.fillStyle = color;
+            gridCtx.beginPath();
+            gridCtx.arc(x, y, PORTAL_RADIUS, 0, Math.PI * 2);
+            gridCtx.fill();
+            gridCtx.globalAlpha = 1;
+            gridCtx.strokeStyle = color;
+            gridCtx.lineWidth = 2;
+            gridCtx.beginPath();
+            gridCtx.arc(x, y, PORTAL_RADIUS, 0, Math.PI * 2);
+            gridCtx.stroke();
+            gridCtx.beginPath();
+            gridCtx.arc(x, y, PORTAL_RADIUS / 2, 0, Math.PI * 2);
+            gridCtx.stroke();
+        }
+    });
+}
+
+// Size the offscreen canvases to the arena being drawn and prerender its
+// map - rules and maps can change both
+let drawnMap = null;
+function fitArena(view) {
+    const rules = view.rules;
+    const resized = gridCanvas.width !== rules.arenaWidth || gridCanvas.height !== rules.arenaHeight;
+    if (!resized && view.map === drawnMap) return;
+    if (resized) {
+        gridCanvas.width = trailCanvas.width = rules.arenaWidth;
+        gridCanvas.height = trailCanvas.height = rules.arenaHeight;
+        resetTrailCanvas();
+        camera.x = rules.arenaWidth / 2;
+        camera.y = rules.arenaHeight / 2;
+        camera.zoom = fitZoom(rules);
+    }
+    drawnMap = view.map;
+    renderStaticGrid(drawnMap);
+}
+
+// Zoom that shows the whole arena in the canvas
+function fitZoom(rules) {
+    return Math.min(CANVAS_W / rules.arenaWidth, CANVAS_H / rules.arenaHeight);
+}
+
+// Camera centre along one axis: near `target`, but never showing past the arena's edges
+function clampView(target, half, size) {
+    if (size < half * 2) return size / 2;
+    return Math.max(half, Math.min(size - half, target));
 }
 
 // Clear trail canvas and reset incremental counters (called on round start)
 function resetTrailCanvas() {
-    trailCtx.clearRect(0, 0, CANVAS_W, CANVAS_H);
+    trailCtx.clearRect(0, 0, trailCanvas.width, trailCanvas.height);
     trailDrawnCount.clear();
+    trailDrawnEpoch.clear();
+}
+
+// What the canvas shows: the replay being watched, or the live match.
+// Both expose players, pickups, rules, map, roundActive, countdown, roundStartTime and matchWinner.
+function viewSource() {
+    return replay || network;
+}
+
+// Where to draw a player this frame: interpolated for remote players,
+// predicted for ourselves, raw physics state on the host. Writes into renderPose.
+function getRenderPose(p, now) {
+    renderPose.x = p.x;
+    renderPose.y = p.y;
+    renderPose.angle = p.angle || 0;
+    renderPose.trailTotal = p.trailTotal;
+
+    // Replays and the host draw the simulation directly
+    if (replay || network.isHost || !network.roundActive || !p.alive) return renderPose;
+
+    if (p.id === myId) {
+        predictor.rules = network.rules;
+        predictor.sample(now, network.roundStartTime, renderPose);
+        renderPose.trailTotal = p.trailTotal;
+    } else if (snapshots.sample(p.id, now, renderPose)) {
+        // Never draw trail points we haven't received yet
+        renderPose.trailTotal = Math.min(renderPose.trailTotal, p.trailTotal);
+    }
+    return renderPose;
 }
 
 // Draw ONLY new trail segments since last frame (incremental rendering)
 // This is O(new_points) instead of O(all_points) - massive FPS improvement
-function drawIncrementalTrails() {
-    const players = network.players;
+function drawIncrementalTrails(now) {
+    const view = viewSource();
+    const players = view.players;
 
     // Detect round reset - clear canvas if round just started
-    if (network.roundActive && !lastRoundActive) {
+    if (view.roundActive && !lastRoundActive) {
         resetTrailCanvas();
     }
-    lastRoundActive = network.roundActive;
+    lastRoundActive = view.roundActive;
+
+    // An eraser cut into trails we already drew - only a full redraw removes them
+    for (const id in players) {
+        if (trailDrawnEpoch.has(id) && trailDrawnEpoch.get(id) !== players[id].trailEpoch) {
+            drawAllTrails(now);
+            return;
+        }
+    }
 
     for (const id in players) {
         const p = players[id];
@@ -128,15 +362,18 @@ function drawIncrementalTrails() {
         if (p.lives !== undefined && p.lives <= 0) continue;
 
         const drawnSoFar = trailDrawnCount.get(id) || 0;
-        
+
         // Handle round reset for this player
-        if (p.trailLen < drawnSoFar) {
+        if (p.trailTotal < drawnSoFar) {
             trailDrawnCount.set(id, 0);
             continue;
         }
 
-        const newPoints = p.trailLen - drawnSoFar;
-        if (newPoints < 2) continue;
+        // Remote trails only grow as far as their interpolated head
+        const target = p.alive ? getRenderPose(p, now).trailTotal : p.trailTotal;
+        const oldest = p.trailTotal - p.trailLen; // first point still in the buffer
+        const startTotal = Math.max(oldest, drawnSoFar - 1);
+        if (target - startTotal < 2) continue;
 
         const alphaBase = p.alive ? 1 : 0.12;
 
@@ -147,16 +384,8 @@ function drawIncrementalTrails() {
         trailCtx.lineCap = 'round';
         trailCtx.lineJoin = 'round';
         trailCtx.beginPath();
-
         // Start from the last drawn point (for continuity)
-        const startIdx = Math.max(0, drawnSoFar - 1);
-        let idx = (p.trailStart + startIdx) % TRAIL_MAX;
-        trailCtx.moveTo(p.trailX[idx], p.trailY[idx]);
-
-        for (let i = startIdx + 1; i < p.trailLen; i++) {
-            idx = (p.trailStart + i) % TRAIL_MAX;
-            trailCtx.lineTo(p.trailX[idx], p.trailY[idx]);
-        }
+        traceTrail(p, startTotal, target);
         trailCtx.stroke();
 
         // Draw white core on the new segment
@@ -166,17 +395,64 @@ function drawIncrementalTrails() {
         trailCtx.stroke();
 
         // Mark these points as drawn
-        trailDrawnCount.set(id, p.trailLen);
+        trailDrawnCount.set(id, target);
+        trailDrawnEpoch.set(id, p.trailEpoch);
     }
     trailCtx.globalAlpha = 1;
 }
 
-// Full redraw fallback (only used when needed, e.g., player death fade)
-function drawAllTrails() {
-    trailCtx.clearRect(0, 0, CANVAS_W, CANVAS_H);
-    trailDrawnCount.clear();
+// Add trail points [fromTotal, toTotal) to the current path, lifting the pen over erased gaps
+function traceTrail(p, fromTotal, toTotal) {
+    const oldest = p.trailTotal - p.trailLen;
+    let penDown = false;
+    for (let k = fromTotal; k < toTotal; k++) {
+        const idx = (p.trailStart + k - oldest) % p.trailX.length;
+        const x = p.trailX[idx];
+        if (isTrailGap(x)) {
+            penDown = false;
+        } else if (penDown) {
+            trailCtx.lineTo(x, p.trailY[idx]);
+        } else {
+            trailCtx.moveTo(x, p.trailY[idx]);
+            penDown = true;
+        }
+    }
+}
 
-    const players = network.players;
+const PORTAL_JUMP_SQ = 60 * 60;
+
+// Bridge the gap between the last cached trail point and the smoothed head
+function drawTrailConnector(p, pose) {
+    const drawn = trailDrawnCount.get(p.id) || 0;
+    const oldest = p.trailTotal - p.trailLen;
+    if (drawn < 1 || drawn - 1 < oldest) return;
+
+    const idx = (p.trailStart + drawn - 1 - oldest) % p.trailX.length;
+    if (isTrailGap(p.trailX[idx])) return;
+    // A head that just went through a portal or wrapped is nowhere near its trail
+    const dx = pose.x - p.trailX[idx];
+    const dy = pose.y - p.trailY[idx];
+    if (dx * dx + dy * dy > PORTAL_JUMP_SQ) return;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(p.trailX[idx], p.trailY[idx]);
+    ctx.lineTo(pose.x, pose.y);
+    ctx.strokeStyle = p.color;
+    ctx.lineWidth = 3;
+    ctx.globalAlpha = 0.6;
+    ctx.stroke();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+    ctx.globalAlpha = 0.85;
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+}
+
+// Full redraw fallback (only used when needed, e.g., after an eraser)
+function drawAllTrails(now) {
+    resetTrailCanvas();
+
+    const players = viewSource().players;
 
     for (const id in players) {
         const p = players[id];
@@ -191,14 +467,9 @@ function drawAllTrails() {
         trailCtx.lineCap = 'round';
         trailCtx.lineJoin = 'round';
         trailCtx.beginPath();
-
-        let idx = p.trailStart % TRAIL_MAX;
-        trailCtx.moveTo(p.trailX[idx], p.trailY[idx]);
-
-        for (let i = 1; i < p.trailLen; i++) {
-            idx = (p.trailStart + i) % TRAIL_MAX;
-            trailCtx.lineTo(p.trailX[idx], p.trailY[idx]);
-        }
+        // Remote trails still stop at their interpolated head
+        const target = p.alive ? getRenderPose(p, now).trailTotal : p.trailTotal;
+        traceTrail(p, p.trailTotal - p.trailLen, target);
         trailCtx.stroke();
 
         trailCtx.strokeStyle = '#ffffff';
@@ -206,43 +477,215 @@ function drawAllTrails() {
         trailCtx.globalAlpha = 0.85 * alphaBase;
         trailCtx.stroke();
 
-        trailDrawnCount.set(id, p.trailLen);
+        trailDrawnCount.set(id, target);
+        trailDrawnEpoch.set(id, p.trailEpoch);
     }
     trailCtx.globalAlpha = 1;
 }
 
+// ─── Power-ups ───────────────────────────────────────────────
+
+const PICKUP_STYLES = {
+    boost: { color: '#ffd400', label: 'B' },
+    phase: { color: '#b06bff', label: 'P' },
+    shield: { color: '#4de1ff', label: 'S' },
+    eraser: { color: '#ff4d6d', label: 'E' }
+};
+
+// Pulsing rings with the power-up's letter
+function drawPickups(pickups, now) {
+    if (!pickups || pickups.length === 0) return;
+    const pulse = 1 + Math.sin(now / 200) * 0.15;
+
+    ctx.font = "bold 10px 'Chakra Petch', sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (const pk of pickups) {
+        const style = PICKUP_STYLES[pk.kind];
+        if (!style) continue;
+
+        ctx.globalAlpha = 0.2;
+        ctx.fillStyle = style.color;
+        ctx.beginPath();
+        ctx.arc(pk.x, pk.y, 14 * pulse, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(pk.x, pk.y, 9, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = style.color;
+        ctx.fillText(style.label, pk.x, pk.y + 1);
+    }
+    ctx.textBaseline = "alphabetic";
+}
+
+// Rings and streaks around a head for its active effects
+function drawEffects(p, hx, hy, angle, now) {
+    if (p.effects & EFFECT_BOOST) {
+        // Speed streak behind the bike
+        ctx.strokeStyle = PICKUP_STYLES.boost.color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.7;
+        ctx.beginPath();
+        ctx.moveTo(hx - Math.cos(angle) * 8, hy - Math.sin(angle) * 8);
+        ctx.lineTo(hx - Math.cos(angle) * 22, hy - Math.sin(angle) * 22);
+        ctx.stroke();
+    }
+    if (p.effects & EFFECT_SHIELD) {
+        ctx.strokeStyle = PICKUP_STYLES.shield.color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.8;
+        ctx.beginPath();
+        ctx.arc(hx, hy, 12, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    if (p.effects & EFFECT_PHASE) {
+        // Spinning dashed ring
+        ctx.strokeStyle = PICKUP_STYLES.phase.color;
+        ctx.lineWidth = 1.5;
+        ctx.globalAlpha = 0.8;
+        ctx.setLineDash([4, 4]);
+        ctx.lineDashOffset = -now / 40;
+        ctx.beginPath();
+        ctx.arc(hx, hy, 15, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.lineDashOffset = 0;
+    }
+    ctx.globalAlpha = 1;
+}
+
+// Seconds into the current round: simulated time in replays, the host's clock otherwise
+function roundElapsed(view) {
+    if (replay) return replay.roundElapsed;
+    return view.roundActive && network.roundStartTime ? (Date.now() - network.roundStartTime) / 1000 : 0;
+}
+
+// Shrinking arena: shade what the walls have closed off, and flash where they
+// are heading for SHRINK_WARNING seconds before each shrink
+function drawArenaWalls(view, now) {
+    const rules = view.rules;
+    if (!rules.shrinkStart || !view.roundActive) return;
+    const w = rules.arenaWidth;
+    const h = rules.arenaHeight;
+    const elapsed = roundElapsed(view);
+    const inset = getArenaInset(elapsed, rules);
+
+    if (inset > 0) {
+        ctx.fillStyle = "rgba(255, 46, 99, 0.12)";
+        ctx.fillRect(0, 0, w, inset);
+        ctx.fillRect(0, h - inset, w, inset);
+        ctx.fillRect(0, inset, inset, h - 2 * inset);
+        ctx.fillRect(w - inset, inset, inset, h - 2 * inset);
+        ctx.strokeStyle = "#ff2e63";
+        ctx.lineWidth = 3;
+        ctx.strokeRect(inset, inset, w - 2 * inset, h - 2 * inset);
+    }
+
+    const next = getNextShrink(elapsed, rules);
+    const warning = next !== null ? next - elapsed : Infinity;
+    if (warning > SHRINK_WARNING) return;
+
+    const target = getArenaInset(next + SHRINK_DURATION, rules);
+    ctx.globalAlpha = 0.5 + Math.sin(now / 100) * 0.3;
+    ctx.strokeStyle = "#ff2e63";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([12, 8]);
+    ctx.strokeRect(target, target, w - 2 * target, h - 2 * target);
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = "#ff2e63";
+    ctx.font = "bold 16px 'Chakra Petch', sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillText("ARENA SHRINKING IN " + Math.max(1, Math.ceil(warning)), w / 2, target + 28);
+    ctx.globalAlpha = 1;
+}
+
+// Ease the camera toward the followed player, or back to the whole arena
+function updateCamera(now) {
+    const view = viewSource();
+    const rules = view.rules;
+    const p = followId ? view.players[followId] : null;
+    let tx = rules.arenaWidth / 2;
+    let ty = rules.arenaHeight / 2;
+    let tz = fitZoom(rules);
+
+    if (p) {
+        const pose = getRenderPose(p, now);
+        tz = FOLLOW_ZOOM;
+        // Keep the view inside the arena
+        tx = clampView(pose.x, CANVAS_W / (2 * tz), rules.arenaWidth);
+        ty = clampView(pose.y, CANVAS_H / (2 * tz), rules.arenaHeight);
+    }
+
+    camera.x += (tx - camera.x) * CAMERA_EASE;
+    camera.y += (ty - camera.y) * CAMERA_EASE;
+    camera.zoom += (tz - camera.zoom) * CAMERA_EASE;
+
+    ctx.setTransform(camera.zoom, 0, 0, camera.zoom,
+        CANVAS_W / 2 - camera.x * camera.zoom, CANVAS_H / 2 - camera.y * camera.zoom);
+}
+
 // Main draw function - 60fps (rendering only, no physics)
 function draw() {
-    const players = network.players;
+    const now = performance.now();
+
+    if (replay) {
+        replay.update(now - lastReplayFrame);
+        lastReplayFrame = now;
+        if (now - lastReplayHudAt > 100) {
+            lastReplayHudAt = now;
+            updateReplayHud();
+        }
+    }
+    const view = viewSource();
+    const players = view.players;
+    fitArena(view);
 
     // Clear
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.fillStyle = "#0a0a0f";
     ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+    updateCamera(now);
 
     // Static grid
     ctx.drawImage(gridCanvas, 0, 0);
 
     // Incremental trail rendering - only draw NEW segments (O(new) not O(all))
-    drawIncrementalTrails();
+    drawIncrementalTrails(now);
 
     // Stamp cached trails
     ctx.drawImage(trailCanvas, 0, 0);
 
+    drawPickups(view.pickups, now);
+    drawArenaWalls(view, now);
+
     // Draw player heads — skip eliminated players
     for (const id in players) {
         const p = players[id];
         if (p.lives !== undefined && p.lives <= 0) continue;
 
         if (p.alive) {
-            const angle = p.angle || 0;
-            const hx = p.x;
-            const hy = p.y;
+            const pose = getRenderPose(p, now);
+            drawTrailConnector(p, pose);
+
+            const angle = pose.angle;
+            const hx = pose.x;
+            const hy = pose.y;
             const size = 7;
 
             // Glow
             const glow = getGlowImage(p.color);
             ctx.drawImage(glow, hx - 24, hy - 24);
 
+            drawEffects(p, hx, hy, angle, now);
+            // Phasing bikes are half there
+            if (p.effects & EFFECT_PHASE) ctx.globalAlpha = 0.5;
+
             // Triangle head
             ctx.fillStyle = p.color;
             ctx.beginPath();
@@ -257,12 +700,14 @@ function draw() {
             ctx.beginPath();
             ctx.arc(hx, hy, 2, 0, Math.PI * 2);
             ctx.fill();
+            ctx.globalAlpha = 1;
 
             // Name label
             ctx.fillStyle = p.color;
             ctx.font = "bold 11px 'Chakra Petch', sans-serif";
             ctx.textAlign = "center";
-            ctx.fillText(id === myId ? "YOU" : p.name, hx, hy - 16);
+            ctx.fillText(id === myId && !replay ? "YOU" : p.name, hx, hy - 16);
+            if (!replay) drawEmote(id, hx, hy, now);
         } else if (p.lives === undefined || p.lives > 0) {
             // Death X marker - only show for players still in the match
             ctx.globalAlpha = 0.4;
@@ -278,85 +723,173 @@ function draw() {
         }
     }
 
-    // Border
+    // Border - dashed where the edges wrap around
     ctx.strokeStyle = "rgba(255, 140, 0, 0.15)";
     ctx.lineWidth = 1;
-    ctx.strokeRect(0, 0, CANVAS_W, CANVAS_H);
+    if (view.rules.wrap) ctx.setLineDash([8, 8]);
+    ctx.strokeRect(0, 0, view.rules.arenaWidth, view.rules.arenaHeight);
+    ctx.setLineDash([]);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
 
     requestAnimationFrame(draw);
 }
 
-// Update scoreboard - show lives as X/6
-function updateScore() {
-    const players = network.players;
-    let html = "";
-    const sorted = Object.values(players).sort((a, b) => b.lives - a.lives);
+// Player colors arrive over the network - only a plain hex color reaches the page
+function hudColor(p) {
+    return /^#[0-9a-f]{6}$/i.test(p.color) ? p.color : "#ffffff";
+}
 
-    for (const p of sorted) {
-        const isMe = p.id === myId;
-        const lives = p.lives !== undefined ? p.lives : MAX_LIVES;
-        const eliminated = lives <= 0;
-        const opacity = eliminated ? 'opacity:0.3;' : '';
-        html += `<div class="score-entry ${isMe ? "score-you" : ""}" style="${opacity}">
-            <span class="score-name" style="color:${p.color}">${isMe ? "YOU" : p.name}</span>
-            <span class="score-value" style="color:${p.color}">${lives}/${MAX_LIVES}</span>
-            <span class="score-dot" style="background:${p.color};${p.alive ? "" : "opacity:0.2"}"></span>
-        </div>`;
+// A <span> for the HUD; text only, never markup
+function hudSpan(className, text, color) {
+    const span = document.createElement("span");
+    span.className = className;
+    span.textContent = text;
+    if (color) span.style.color = color;
+    return span;
+}
+
+// Update scoreboard - show lives as X/N for the match's starting lives
+function updateScore() {
+    const view = viewSource();
+    const players = view.players;
+    const maxLives = view.rules.lives;
+
+    const info = describeRules(view.rules);
+    if (roundInfoEl.textContent !== info) roundInfoEl.textContent = info;
+
+    // Rows as plain data first, so the DOM is only rebuilt when something changed
+    const rows = [];
+    for (const group of groupByTeam(players, view.rules.teams)) {
+        if (group.team !== null) {
+            rows.push({ team: group.team, lives: group.lives });
+        }
+        for (const p of group.players) {
+            const isMe = p.id === myId && !replay;
+            rows.push({
+                name: isMe ? "YOU" : p.name,
+                me: isMe,
+                lives: p.lives !== undefined ? p.lives : maxLives,
+                color: hudColor(p),
+                alive: !!p.alive
+            });
+        }
+    }
+    const key = JSON.stringify(rows) + maxLives;
+    if (key === lastScoreKey) return;
+    lastScoreKey = key;
+
+    scoreBoard.innerHTML = "";
+    for (const row of rows) {
+        if (row.team !== undefined) {
+            const header = document.createElement("div");
+            header.className = "score-team";
+            header.style.color = teamColor(row.team, 2);
+            header.textContent = TEAM_NAMES[row.team] + " · " + row.lives;
+            scoreBoard.appendChild(header);
+            continue;
+        }
+        const entry = document.createElement("div");
+        entry.className = "score-entry" + (row.me ? " score-you" : "");
+        if (row.lives <= 0) entry.style.opacity = "0.3";
+        const dot = hudSpan("score-dot", "");
+        dot.style.background = row.color;
+        if (!row.alive) dot.style.opacity = "0.2";
+        entry.append(hudSpan("score-name", row.name, row.color), hudSpan("score-value", row.lives + "/" + maxLives, row.color), dot);
+        scoreBoard.appendChild(entry);
     }
+}
 
-    if (html !== lastScoreHtml) {
-        lastScoreHtml = html;
-        scoreBoard.innerHTML = html;
+// Standings: most lives first, points break ties
+function byStanding(a, b) {
+    return b.lives - a.lives || b.score - a.score;
+}
+
+// Players by standing, best first. In team mode they are grouped under their
+// team, teams ordered by the lives (then points) they have between them.
+function groupByTeam(players, teams) {
+    const sorted = Object.values(players).sort(byStanding);
+    if (!teams) return [{ team: null, players: sorted, lives: 0, score: 0 }];
+
+    const groups = [];
+    for (let team = 0; team < teams; team++) {
+        const members = sorted.filter((p) => p.team === team);
+        if (members.length === 0) continue;
+        const lives = members.reduce((sum, p) => sum + Math.max(0, p.lives || 0), 0);
+        const score = members.reduce((sum, p) => sum + (p.score || 0), 0);
+        groups.push({ team, players: members, lives, score });
     }
+    return groups.sort(byStanding);
 }
 
 // Show leaderboard
 function showLeaderboard() {
-    const players = network.players;
-    const sorted = Object.values(players).sort((a, b) => b.lives - a.lives);
-
-    let html = "";
-    sorted.forEach((p, i) => {
-        const lives = p.lives !== undefined ? p.lives : 0;
-        const eliminated = lives <= 0;
-        html += `<div class="leaderboard-entry" style="border-left-color: ${p.color};${eliminated ? 'opacity:0.4;' : ''}">
-            <span class="leaderboard-rank">#${i + 1}</span>
-            <span class="leaderboard-name" style="color: ${p.color}">${p.id === myId ? p.name + ' (YOU)' : p.name}</span>
-            <span class="leaderboard-score" style="color: ${p.color}">${lives}/${MAX_LIVES}</span>
-        </div>`;
+    const teams = network.rules.teams;
+
+    leaderboardEntries.innerHTML = "";
+    let rank = 0;
+    groupByTeam(network.players, teams).forEach((group, teamRank) => {
+        if (group.team !== null) {
+            const color = teamColor(group.team, 2);
+            leaderboardEntries.appendChild(leaderboardEntry("leaderboard-entry leaderboard-team", color,
+                "#" + (teamRank + 1), "TEAM " + TEAM_NAMES[group.team], group.score, group.lives));
+        }
+        for (const p of group.players) {
+            const lives = p.lives !== undefined ? p.lives : 0;
+            // Team members are ranked by their team's header instead
+            const label = teams ? '' : '#' + ++rank;
+            const entry = leaderboardEntry("leaderboard-entry", hudColor(p), label,
+                p.id === myId ? p.name + ' (YOU)' : p.name, p.score || 0, lives + "/" + network.rules.lives);
+            if (lives <= 0) entry.style.opacity = "0.4";
+            leaderboardEntries.appendChild(entry);
+        }
     });
 
-    leaderboardEntries.innerHTML = html;
     leaderboard.classList.add('show');
     // Hide regular scoreboard to avoid overlap
     scoreBoard.style.display = 'none';
 }
 
+function leaderboardEntry(className, color, rank, name, points, lives) {
+    const entry = document.createElement("div");
+    entry.className = className;
+    entry.style.borderLeftColor = color;
+    entry.append(
+        hudSpan("leaderboard-rank", rank),
+        hudSpan("leaderboard-name", name, color),
+        hudSpan("leaderboard-points", points + " PTS"),
+        hudSpan("leaderboard-score", String(lives), color)
+    );
+    return entry;
+}
+
 // Update speed HUD
 function updateSpeedHud() {
-    if (!network.roundActive || !network.roundStartTime) {
+    const view = viewSource();
+    if (!view.roundActive || !view.roundStartTime) {
         speedHud.style.display = 'none';
         return;
     }
 
     speedHud.style.display = 'block';
-    const speed = getGameSpeed(network.roundStartTime);
+    // Replays run on simulated time, not the wall clock
+    const speed = replay ? replay.sim.getSpeed() : getGameSpeed(network.roundStartTime, network.rules);
     speedValueEl.textContent = speed.toFixed(1) + 'x';
 
-    // Update speed bar (2.5 to 8)
-    const percent = ((speed - 2.5) / (8 - 2.5)) * 100;
-    speedBar.style.width = percent + '%';
+    // Update speed bar (start speed to top speed)
+    const { baseSpeed, maxSpeed } = view.rules;
+    const ramp = maxSpeed > baseSpeed ? (speed - baseSpeed) / (maxSpeed - baseSpeed) : 1;
+    speedBar.style.width = ramp * 100 + '%';
 
     // Speed styling
     speedValueEl.classList.remove('fast', 'danger');
-    if (speed >= 6) {
+    if (ramp >= 0.64) {
         speedValueEl.classList.add('danger');
-    } else if (speed >= 4.5) {
+    } else if (ramp >= 0.36) {
         speedValueEl.classList.add('fast');
     }
 
     // Timer
-    const elapsed = Math.floor((Date.now() - network.roundStartTime) / 1000);
+    const elapsed = Math.floor(roundElapsed(view));
     const mins = Math.floor(elapsed / 60).toString().padStart(2, '0');
     const secs = (elapsed % 60).toString().padStart(2, '0');
     timerValueEl.textContent = mins + ':' + secs;
@@ -370,17 +903,109 @@ function updatePlayerList() {
     for (const id in players) {
         const p = players[id];
         const li = document.createElement("li");
-        li.textContent = p.name + (id === myId ? " (YOU)" : "");
+        li.textContent = p.name + (id === myId ? " (YOU)" : "") + (p.bot ? " · " + p.bot.toUpperCase() : "") +
+            (id === network.hostPlayerId ? " · HOST" : "") + (p.connected === false ? " (RECONNECTING)" : "");
         li.style.borderLeftColor = p.color;
         li.style.color = p.color;
+        if (id === myId && network.rules.teams === 0) li.appendChild(createColorButton(p));
+        if (network.rules.teams > 0 && p.team !== null) li.appendChild(createTeamButton(p));
+        if (!p.bot && id !== network.hostPlayerId) li.appendChild(createReadyTag(p));
+        if (network.isHost && id !== myId) appendRemoveButtons(li, id, !p.bot);
         playerListEl.appendChild(li);
     }
+
+    for (const id in network.spectators) {
+        const li = document.createElement("li");
+        li.textContent = network.spectators[id].name + (id === myId ? " (YOU)" : "") + " · SPECTATING";
+        li.style.opacity = '0.5';
+        if (network.isHost) appendRemoveButtons(li, id, true);
+        playerListEl.appendChild(li);
+    }
+    updateStartButton();
+}
+
+// The host launches once there are two players and everyone else is ready
+function updateStartButton() {
+    if (!network.isHost || Object.keys(network.players).length < 2) {
+        startBtn.style.display = 'none';
+        return;
+    }
+    const { ready, needed } = network.getReadyCount();
+    startBtn.style.display = 'inline-block';
+    startBtn.disabled = ready < needed;
+    startBtn.textContent = ready < needed ? "WAITING FOR READY (" + ready + "/" + needed + ")" : "LAUNCH MATCH";
+}
+
+// Your own color swatch - click for the next color nobody has
+function createColorButton(p) {
+    const button = document.createElement("button");
+    button.className = "player-color";
+    button.title = "Change color";
+    button.style.background = p.color;
+    const taken = new Set(Object.values(network.players).map((o) => o.colorIndex));
+    let next = null;
+    for (let i = 1; i < COLORS.length && next === null; i++) {
+        const index = (p.colorIndex + i) % COLORS.length;
+        if (!taken.has(index)) next = index;
+    }
+    button.disabled = next === null || (network.gameStarted && network.phase !== 'matchOver');
+    button.onclick = () => network.requestColor(next);
+    return button;
+}
+
+// READY / NOT READY - a toggle on your own row
+function createReadyTag(p) {
+    const mine = p.id === myId;
+    const tag = document.createElement(mine ? "button" : "span");
+    tag.className = "player-ready" + (p.ready ? " ready" : "");
+    tag.textContent = p.ready ? "READY" : "NOT READY";
+    if (mine) {
+        tag.title = "Toggle ready";
+        tag.onclick = () => network.sendReady(!p.ready);
+    }
+    return tag;
+}
+
+// Host: × removes a player, spectator or bot; BAN also keeps a person out
+function appendRemoveButtons(li, id, canBan) {
+    const remove = document.createElement("button");
+    remove.className = "player-remove";
+    remove.textContent = "×";
+    remove.title = network.bots.has(id) ? "Remove bot" : "Kick";
+    remove.onclick = () => network.kickPlayer(id);
+    li.appendChild(remove);
+    if (!canBan) return;
+    const ban = document.createElement("button");
+    ban.className = "player-remove";
+    ban.textContent = "BAN";
+    ban.title = "Kick and don't let back in";
+    ban.onclick = () => network.kickPlayer(id, true);
+    li.appendChild(ban);
+}
+
+// Team tag in the lobby list. Players can click their own to switch team;
+// the host can move anyone.
+function createTeamButton(p) {
+    const button = document.createElement("button");
+    button.className = "player-team";
+    button.textContent = TEAM_NAMES[p.team];
+    button.style.color = teamColor(p.team, 2);
+    const mine = p.id === myId;
+    button.disabled = !mine && !network.isHost;
+    button.onclick = () => {
+        const next = (p.team + 1) % network.rules.teams;
+        if (mine) network.requestTeam(next);
+        else network.setTeam(p.id, next);
+    };
+    return button;
 }
 
 // Show/hide UI sections
 function showMenu() {
     menuEl.style.display = 'block';
     gameArea.style.display = 'none';
+    chatEl.classList.remove('show', 'in-match');
+    chatLog.innerHTML = "";
     countdownEl.classList.remove('visible');
 }
 
@@ -389,16 +1014,17 @@ function showLobby() {
     gameArea.style.display = 'none';
     lobby.style.display = 'block';
     joinArea.style.display = 'none';
+    closeRoomBrowser();
     roomCodeText.textContent = network.roomCode;
+    roomLockEl.style.display = network.roomPassword ? '' : 'none';
+    chatEl.classList.add('show');
+    chatEl.classList.remove('in-match');
     updatePlayerList();
     countdownEl.classList.remove('visible');
 
-    // Show start button only for host
-    if (network.isHost && Object.keys(network.players).length >= 2) {
-        startBtn.style.display = 'inline-block';
-    } else {
-        startBtn.style.display = 'none';
-    }
+    botControls.style.display = network.isHost ? 'block' : 'none';
+    updateRoleButtons();
+    updateRulesPanel();
 }
 
 function showGame() {
@@ -410,15 +1036,212 @@ function showGame() {
     isGameActive = true;
     lastCountdown = -1;
     currentWinner = null;
+    killFeedEl.innerHTML = "";
+    emoteBubbles.clear();
+    chatEl.classList.add('show', 'in-match');
+    chatInput.blur();
+    updateSpectatorView();
+}
+
+// ─── Kill Feed ───────────────────────────────────────────────
+
+const FEED_SHOW_MS = 5000; // how long an entry stays up
+const FEED_FADE_MS = 500;  // matches .feed-entry's transition
+const FEED_MAX = 5;
+
+// A player's name in their color (names are text, never markup)
+function feedName(id) {
+    const p = network.players[id];
+    const span = document.createElement("span");
+    span.className = "feed-name";
+    span.textContent = p ? (id === myId ? "YOU" : p.name) : "SOMEONE";
+    if (p) span.style.color = p.color;
+    return span;
+}
+
+// The line for a game event as [name span | text] parts, or null to skip it
+function describeGameEvent(ev) {
+    switch (ev.kind) {
+        case 'death':
+            if (ev.killer) return [feedName(ev.killer), " ▸ ", feedName(ev.id)];
+            if (ev.cause === 'self') return [feedName(ev.id), " HIT THEIR OWN TRAIL"];
+            return [feedName(ev.id), " HIT THE WALL"];
+        case 'eliminated':
+            return [feedName(ev.id), " IS OUT"];
+        case 'roundWon':
+            if (ev.team !== null && ev.team !== undefined) return ["TEAM " + TEAM_NAMES[ev.team] + " TAKES THE ROUND"];
+            return [feedName(ev.id), " TAKES THE ROUND"];
+        case 'matchWon':
+            if (ev.team !== null && ev.team !== undefined) return ["TEAM " + TEAM_NAMES[ev.team] + " WINS THE MATCH"];
+            return [feedName(ev.id), " WINS THE MATCH"];
+    }
+    return null;
+}
+
+function addFeedEntry(ev) {
+    const parts = describeGameEvent(ev);
+    if (!parts) return;
+
+    const entry = document.createElement("div");
+    entry.className = "feed-entry";
+    entry.append(...parts);
+    killFeedEl.appendChild(entry);
+    while (killFeedEl.children.length > FEED_MAX) killFeedEl.firstChild.remove();
+
+    setTimeout(() => {
+        entry.classList.add("fading");
+        setTimeout(() => entry.remove(), FEED_FADE_MS);
+    }, FEED_SHOW_MS);
+}
+
+network.on('gameEvent', addFeedEntry);
+
+// ─── Chat ────────────────────────────────────────────────────
+
+const CHAT_MAX_LINES = 50;
+const CHAT_STALE_MS = 8000; // during a match lines fade after this (until you open chat)
+const EMOTE_SHOW_MS = 2500;
+const EMOTE_FADE_MS = 400;
+const emoteBubbles = new Map(); // playerId -> { text, at }
+
+function addChatLine(msg) {
+    const p = network.players[msg.id];
+    const name = document.createElement("span");
+    name.className = "chat-name" + (msg.spectator ? " chat-spectator" : "");
+    name.textContent = (msg.id === myId ? "YOU" : msg.name) + (msg.spectator ? " (SPECTATING)" : "");
+    name.style.color = p ? p.color : "#ff8c00";
+
+    const line = document.createElement("div");
+    line.className = "chat-line";
+    line.append(name, msg.text); // text node - chat is never markup
+    chatLog.appendChild(line);
+    while (chatLog.children.length > CHAT_MAX_LINES) chatLog.firstChild.remove();
+    chatLog.scrollTop = chatLog.scrollHeight;
+    setTimeout(() => line.classList.add("stale"), CHAT_STALE_MS);
 }
 
+function loadEmoteKeys() {
+    try {
+        const keys = JSON.parse(localStorage.getItem(EMOTE_KEYS_KEY));
+        if (Array.isArray(keys) && keys.length === DEFAULT_EMOTE_KEYS.length &&
+            keys.every((k) => Number.isInteger(k) && k >= 0 && k < EMOTES.length)) return keys;
+    } catch (e) {
+        // fall through to the defaults
+    }
+    return DEFAULT_EMOTE_KEYS.slice();
+}
+
+const emoteKeys = loadEmoteKeys();
+
+// One select per number key in the lobby
+function buildEmoteKeys() {
+    const label = document.createElement("span");
+    label.textContent = "EMOTE KEYS";
+    emoteKeysEl.appendChild(label);
+    emoteKeys.forEach((emote, i) => {
+        const select = document.createElement("select");
+        select.title = "Key " + (i + 1);
+        EMOTES.forEach((text, j) => select.add(new Option((i + 1) + " · " + text, j)));
+        select.value = emote;
+        select.onchange = () => {
+            emoteKeys[i] = Number(select.value);
+            localStorage.setItem(EMOTE_KEYS_KEY, JSON.stringify(emoteKeys));
+        };
+        emoteKeysEl.appendChild(select);
+    });
+}
+
+buildEmoteKeys();
+
+// The emote bubble over a bike's head, faded out towards the end
+function drawEmote(id, hx, hy, now) {
+    const bubble = emoteBubbles.get(id);
+    if (!bubble) return;
+    const age = now - bubble.at;
+    if (age > EMOTE_SHOW_MS) {
+        emoteBubbles.delete(id);
+        return;
+    }
+    ctx.globalAlpha = Math.min(1, (EMOTE_SHOW_MS - age) / EMOTE_FADE_MS);
+    ctx.font = "bold 12px 'Chakra Petch', sans-serif";
+    ctx.textAlign = "center";
+    const width = ctx.measureText(bubble.text).width + 12;
+    ctx.fillStyle = "rgba(10, 10, 15, 0.85)";
+    ctx.fillRect(hx - width / 2, hy - 46, width, 18);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(bubble.text, hx, hy - 33);
+    ctx.globalAlpha = 1;
+}
+
+chatInput.addEventListener("focus", () => {
+    // Typing shouldn't leave the bike turning
+    keysDown.clear();
+    updateTurnDirection();
+});
+
+chatInput.addEventListener("keydown", (e) => {
+    e.stopPropagation(); // keep typing away from the game controls
+    if (e.key === "Enter") {
+        if (chatInput.value && !network.sendChat(chatInput.value)) {
+            showError('SLOW DOWN');
+            return;
+        }
+        chatInput.value = "";
+        if (isGameActive) chatInput.blur();
+    } else if (e.key === "Escape") {
+        chatInput.blur();
+    }
+});
+
+network.on('chat', addChatLine);
+
+network.on('emote', (data) => {
+    emoteBubbles.set(data.id, { text: EMOTES[data.emote], at: performance.now() });
+});
+
 // Network callbacks
 network.on('init', (data) => {
     myId = data.playerId;
     console.log('Initialized with ID:', myId);
+    saveSession({ roomCode: data.roomCode, playerId: data.playerId, token: data.token, name: network.playerName, spectate: network.spectating, password: network.roomPassword });
     showLobby();
 });
 
+network.on('playerList', () => {
+    updatePlayerList();
+    updateFollowOptions();
+});
+
+network.on('roleChanged', (data) => {
+    myId = data.playerId;
+    saveSession({ roomCode: network.roomCode, playerId: data.playerId, token: data.token, name: network.playerName, spectate: network.spectating, password: network.roomPassword });
+    showError(data.role === 'spectator' ? 'SPECTATING FROM NEXT MATCH' : 'YOU PLAY NEXT MATCH');
+    followId = null;
+    predictor.reset();
+    updatePlayerList();
+    updateRoleButtons();
+    updateSpectatorView();
+});
+
+network.on('connectionLost', () => {
+    showError('CONNECTION LOST · RECONNECTING');
+});
+
+network.on('rejoined', () => {
+    showError('RECONNECTED');
+    snapshots.clear();
+    predictor.reset();
+    resetTrailCanvas();
+});
+
+network.on('rules', () => {
+    updateRulesPanel();
+    updatePlayerList();
+    updateScore();
+});
+
+network.on('map', updateRulesPanel);
+
 network.on('roomCreated', (data) => {
     console.log('Room created:', data.code);
     roomCodeText.textContent = data.code;
@@ -428,10 +1251,6 @@ network.on('roomCreated', (data) => {
 network.on('playerJoined', (data) => {
     console.log('Player joined:', data.name);
     updatePlayerList();
-    // Show start button if host and 2+ players
-    if (network.isHost && Object.keys(network.players).length >= 2) {
-        startBtn.style.display = 'inline-block';
-    }
 });
 
 network.on('playerLeft', (data) => {
@@ -439,7 +1258,19 @@ network.on('playerLeft', (data) => {
     updatePlayerList();
 });
 
+network.on('playerDisconnected', () => {
+    updatePlayerList();
+});
+
+network.on('playerRejoined', () => {
+    updatePlayerList();
+});
+
 network.on('gameStart', () => {
+    // A live match beats whatever replay we were watching
+    if (replay) closeReplay();
+    saveReplayBtn.style.display = 'none';
+
     // Show game area and ensure countdown is visible
     showGame();
     // Force initial render to show any pending countdown
@@ -449,33 +1280,58 @@ network.on('gameStart', () => {
     }
 });
 
+network.on('replayReady', () => {
+    // Host only - the match just ended and its recording can be saved
+    saveReplayBtn.style.display = 'inline-block';
+});
+
 network.on('error', (data) => {
     showError(data.message);
 });
 
-network.on('disconnected', () => {
-    showError('DISCONNECTED FROM SERVER');
+network.on('disconnected', (data) => {
+    showError(data.error ? joinErrorMessage(data.error) : data.reason || 'DISCONNECTED FROM SERVER');
+    clearSession();
     setTimeout(() => {
         showMenu();
         lobby.style.display = 'none';
     }, 2000);
 });
 
+network.on('hostMigrating', () => {
+    showError('HOST LEFT · SWITCHING HOST');
+});
+
+network.on('hostMigrated', (data) => {
+    const host = network.players[data.hostId];
+    showError(data.isHost ? 'YOU ARE NOW THE HOST' : 'NEW HOST: ' + (host ? host.name : data.hostId));
+
+    // The new host resends every trail - start the smoothing and trail cache over
+    snapshots.clear();
+    predictor.reset();
+    resetTrailCanvas();
+
+    // Refresh the lobby so the start button follows the host role
+    if (!isGameActive) showLobby();
+});
+
 // State update handler - apply game state from host
 network.on('stateUpdate', (data) => {
     const state = data.state;
 
-    // Apply the game state to local players ONLY if we are a client.
-    // The host already has the authoritative physics state.
+    // Network has already applied the state to network.players on clients.
+    // Feed the smoothing buffers (the host renders authoritative physics directly).
     if (!network.isHost) {
-        applyGameState(network.players, state);
+        const now = performance.now();
+        snapshots.push(network.players, now);
+        const me = network.players[myId];
+        if (me) predictor.reconcile(me, now, state.rst);
     }
 
-    // Support both compact and old format
-    const countdown = state.cd !== undefined ? state.cd : state.countdown;
-    const matchWinner = state.mw !== undefined ? state.mw : state.matchWinner;
-    const roundActive = state.ra !== undefined ? state.ra : state.roundActive;
-    const roundStartTime = state.rst !== undefined ? state.rst : state.roundStartTime;
+    const countdown = state.cd;
+    const matchWinner = state.mw;
+    const roundActive = state.ra;
+    const roundStartTime = state.rst;
 
     // Update countdown - show when game starts countdown
     if (countdown !== lastCountdown) {
@@ -493,7 +1349,10 @@ network.on('stateUpdate', (data) => {
         currentWinner = matchWinner;
         const winner = network.players[currentWinner];
         if (winner) {
-            winnerNameEl.textContent = winner.name;
+            // In team mode the winner is a player on the winning team
+            winnerNameEl.textContent = network.rules.teams > 0 && winner.team !== null
+                ? 'TEAM ' + TEAM_NAMES[winner.team]
+                : winner.name;
             winnerOverlay.classList.add('show');
 
             // Reset button animation so it replays
@@ -524,28 +1383,198 @@ network.on('stateUpdate', (data) => {
 });
 
 // Button handlers
-hostBtn.onclick = () => {
+// What to tell the player when hosting or joining fails, by error type
+// (from the transport, or the host turning us away)
+const CANT_REACH_SERVER = "CAN'T REACH THE SERVER · CHECK YOUR CONNECTION";
+const JOIN_ERRORS = {
+    'peer-unavailable': 'ROOM NOT FOUND',
+    'room-full': 'ROOM FULL · YOU CAN STILL SPECTATE',
+    'wrong-password': 'WRONG PASSWORD',
+    'banned': 'BANNED FROM ROOM',
+    'timeout': 'NO ANSWER · YOUR NETWORK MAY BE BLOCKING PEER CONNECTIONS',
+    'unavailable-id': 'NO FREE ROOM CODE · TRY AGAIN',
+    'network': CANT_REACH_SERVER,
+    'server-error': CANT_REACH_SERVER,
+    'socket-error': CANT_REACH_SERVER,
+    'socket-closed': CANT_REACH_SERVER,
+    'webrtc': 'PEER CONNECTION FAILED · YOUR NETWORK MAY BE BLOCKING IT',
+    'browser-incompatible': 'THIS BROWSER CAN\'T MAKE PEER CONNECTIONS'
+};
+
+function joinErrorMessage(err) {
+    return (err && JOIN_ERRORS[err.type]) || 'COULD NOT CONNECT';
+}
+
+// Menu buttons stay off while we're connecting so nobody joins twice
+let connecting = false;
+
+function whileConnecting(attempt) {
+    const buttons = [hostBtn, joinBtn, spectateBtn, rejoinBtn, ...roomListEl.querySelectorAll('button')];
+    connecting = true;
+    for (const button of buttons) button.disabled = true;
+    attempt.catch((err) => {
+        console.error('Could not connect:', err);
+        showError(joinErrorMessage(err));
+    }).finally(() => {
+        connecting = false;
+        for (const button of buttons) button.disabled = false;
+    });
+}
+
+// Callsign from the menu, or null after asking for one
+function readName() {
     const name = nameInput.value.trim();
-    if (!name) { showError("ENTER YOUR CALLSIGN"); nameInput.focus(); return; }
-    network.createRoom(name);
+    if (!name) { showError("ENTER YOUR CALLSIGN"); nameInput.focus(); return null; }
+    return name;
+}
+
+// Callsign and room code from the menu, or null after telling the player what's missing
+function readJoinFields() {
+    const name = readName();
+    if (!name) return null;
+    const code = normalizeRoomCode(joinCodeInput.value);
+    if (!code) { showError("ENTER ROOM CODE"); return null; }
+    if (!isRoomCode(code)) { showError("ROOM CODES ARE 6 LETTERS AND NUMBERS"); return null; }
+    return { name, code };
+}
+
+hostBtn.onclick = () => {
+    const name = readName();
+    if (name) whileConnecting(network.createRoom(name, passwordInput.value));
 };
 
 joinBtn.onclick = () => {
-    const name = nameInput.value.trim();
-    if (!name) { showError("ENTER YOUR CALLSIGN"); nameInput.focus(); return; }
-    const code = document.getElementById("joinCode").value.trim();
-    if (!code) { showError("ENTER ROOM CODE"); return; }
-    network.joinRoom(code, name);
+    const fields = readJoinFields();
+    if (fields) whileConnecting(network.joinRoom(fields.code, fields.name, identityFor(fields.code), false, passwordInput.value));
+};
+
+spectateBtn.onclick = () => {
+    const fields = readJoinFields();
+    if (fields) whileConnecting(network.joinRoom(fields.code, fields.name, identityFor(fields.code), true, passwordInput.value));
+};
+
+rejoinBtn.onclick = () => {
+    const session = loadSession();
+    if (!session) return;
+    rejoinBtn.style.display = 'none';
+    const attempt = network.joinRoom(session.roomCode, session.name, { playerId: session.playerId, token: session.token },
+        session.spectate, session.password);
+    attempt.catch(clearSession); // that room is gone (or won't have us back)
+    whileConnecting(attempt);
 };
 
 openJoin.onclick = () => {
     joinArea.style.display = joinArea.style.display === "block" ? "none" : "block";
 };
 
+// ─── Room Browser ────────────────────────────────────────────
+// Only with a lobby service (?lobby=). Lists the public rooms it knows of;
+// every field comes from other players, so it only ever goes in textContent.
+
+const ROOM_LIST_REFRESH = 5000;
+let roomListTimer = null;
+
+if (roomDirectory) browseBtn.style.display = '';
+
+function openRoomBrowser() {
+    roomBrowser.style.display = 'block';
+    refreshRoomList();
+    roomListTimer = setInterval(refreshRoomList, ROOM_LIST_REFRESH);
+}
+
+function closeRoomBrowser() {
+    roomBrowser.style.display = 'none';
+    clearInterval(roomListTimer);
+    roomListTimer = null;
+}
+
+async function refreshRoomList() {
+    let rooms;
+    try {
+        rooms = await roomDirectory.list();
+    } catch (err) {
+        console.warn('Could not load rooms:', err);
+        showRoomListMessage("CAN'T REACH THE ROOM LIST");
+        return;
+    }
+    if (!roomListTimer) return; // closed while we were waiting
+    if (rooms.length === 0) {
+        showRoomListMessage('NO OPEN ROOMS · HOST ONE');
+        return;
+    }
+    // Joinable rooms first, then the rest
+    rooms.sort((a, b) => (a.inProgress - b.inProgress) || ((a.players >= a.maxPlayers) - (b.players >= b.maxPlayers)) ||
+        a.name.localeCompare(b.name));
+    roomListEl.innerHTML = "";
+    for (const room of rooms) roomListEl.appendChild(createRoomRow(room));
+}
+
+function showRoomListMessage(text) {
+    roomListEl.innerHTML = "";
+    const li = document.createElement('li');
+    li.className = 'room-list-empty';
+    li.textContent = text;
+    roomListEl.appendChild(li);
+}
+
+function createRoomRow(room) {
+    const li = document.createElement('li');
+    const full = room.players >= room.maxPlayers;
+
+    const name = document.createElement('span');
+    name.className = 'room-list-name';
+    name.textContent = room.name;
+    li.appendChild(name);
+
+    const status = document.createElement('span');
+    status.className = 'room-list-status';
+    status.textContent = room.inProgress ? 'IN MATCH' : full ? 'FULL' : 'OPEN';
+    li.appendChild(status);
+
+    const info = document.createElement('div');
+    info.className = 'room-list-info';
+    info.textContent = room.players + '/' + room.maxPlayers + ' PLAYERS · ' + room.rules + (room.map ? ' · ' + room.map : '');
+    li.appendChild(info);
+
+    const join = document.createElement('button');
+    join.className = 'btn btn-primary';
+    join.textContent = 'JOIN';
+    join.disabled = connecting || full;
+    join.onclick = () => joinListedRoom(room.code, false);
+    li.appendChild(join);
+
+    const watch = document.createElement('button');
+    watch.className = 'btn';
+    watch.textContent = 'SPECTATE';
+    watch.disabled = connecting;
+    watch.onclick = () => joinListedRoom(room.code, true);
+    li.appendChild(watch);
+    return li;
+}
+
+function joinListedRoom(code, spectate) {
+    const name = readName();
+    if (!name) return;
+    if (!isRoomCode(code)) { showError("ROOM NOT FOUND"); return; }
+    whileConnecting(network.joinRoom(code, name, identityFor(code), spectate));
+}
+
+browseBtn.onclick = () => {
+    if (roomListTimer) closeRoomBrowser();
+    else openRoomBrowser();
+};
+
+// Take a room we host off the list as soon as the tab goes away
+window.addEventListener('pagehide', () => network.unlistRoom());
+
 startBtn.onclick = () => {
     network.startGame();
 };
 
+addBotBtn.onclick = () => {
+    network.addBot(botLevelSelect.value);
+};
+
 restartBtn.onclick = () => {
     if (network.isHost) {
         // Host restarts the match
@@ -562,31 +1591,564 @@ restartBtn.onclick = () => {
 quitBtn.onclick = () => {
     // Disconnect and go back to menu
     network.disconnect();
+    clearSession();
     isGameActive = false;
     currentWinner = null;
     lastCountdown = -1;
-    lastScoreHtml = "";
+    lastScoreKey = "";
     winnerOverlay.classList.remove('show');
     leaderboard.classList.remove('show');
+    saveReplayBtn.style.display = 'none';
+    snapshots.clear();
+    predictor.reset();
+    followId = null;
+    updateSpectatorView();
     showMenu();
     lobby.style.display = 'none';
 };
 
+// ─── Match Rules ─────────────────────────────────────────────
+
+const RULE_LABELS = {
+    lives: 'LIVES',
+    baseSpeed: 'START SPEED',
+    speedIncrement: 'SPEED STEP',
+    speedInterval: 'STEP EVERY (S)',
+    maxSpeed: 'TOP SPEED',
+    turnSpeed: 'TURN RATE',
+    trailMax: 'TRAIL LENGTH',
+    arenaWidth: 'ARENA WIDTH',
+    arenaHeight: 'ARENA HEIGHT',
+    teams: 'TEAMS',
+    teamCollisions: 'TEAM TRAILS',
+    shrinkStart: 'SHRINK AFTER (S, 0 = OFF)',
+    shrinkInterval: 'SHRINK EVERY (S)',
+    shrinkStep: 'SHRINK BY (PX)',
+    shrinkMin: 'SMALLEST ARENA',
+    wrap: 'EDGES'
+};
+
+// Rules picked from a list rather than typed in
+const RULE_CHOICES = {
+    teams: [[0, 'FREE FOR ALL'], [2, '2 TEAMS'], [3, '3 TEAMS'], [4, '4 TEAMS']],
+    teamCollisions: [[1, 'TEAMMATES COLLIDE'], [0, 'PASS TEAMMATES']],
+    wrap: [[0, 'SOLID'], [1, 'WRAP AROUND']]
+};
+const ruleInputs = {};
+
+function loadCustomPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveCustomPresets(presets) {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
+
+// Built-in presets first; a saved preset can't shadow one of them
+function allPresets() {
+    return Object.assign({}, loadCustomPresets(), BUILTIN_PRESETS);
+}
+
+// One input per rule, stepped and bounded like the host will clamp it
+function buildRulesPanel() {
+    for (const key of RULE_KEYS) {
+        const { min, max, step } = RULE_LIMITS[key];
+        const label = document.createElement('label');
+        label.className = 'rule-field';
+        label.textContent = RULE_LABELS[key];
+        let input;
+        if (RULE_CHOICES[key]) {
+            input = document.createElement('select');
+            for (const [value, text] of RULE_CHOICES[key]) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                input.appendChild(option);
+            }
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = min;
+            input.max = max;
+            input.step = step;
+        }
+        input.onchange = () => {
+            const rules = Object.assign({}, network.rules, { [key]: parseFloat(input.value) });
+            if (!network.setRules(rules)) updateRulesPanel();
+        };
+        label.appendChild(input);
+        rulesFields.appendChild(label);
+        ruleInputs[key] = input;
+    }
+}
+
+// Show the room's rules; only the host can edit them or manage presets
+function updateRulesPanel() {
+    const rules = network.rules;
+    for (const key of RULE_KEYS) {
+        ruleInputs[key].value = rules[key];
+        ruleInputs[key].disabled = !network.isHost;
+    }
+    // A map brings its own arena size
+    if (network.map) ruleInputs.arenaWidth.disabled = ruleInputs.arenaHeight.disabled = true;
+    updateMapSelect();
+
+    const presets = allPresets();
+    rulesPresetSelect.innerHTML = '';
+    let current = '';
+    for (const name in presets) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name.toUpperCase();
+        rulesPresetSelect.appendChild(option);
+        if (!current && sameRules(fitRulesToMap(normalizeRules(presets[name]), network.map), rules)) current = name;
+    }
+    if (!current) {
+        const custom = document.createElement('option');
+        custom.value = '';
+        custom.textContent = 'CUSTOM';
+        rulesPresetSelect.appendChild(custom);
+    }
+    rulesPresetSelect.value = current;
+    rulesPresetSelect.disabled = !network.isHost;
+    savePresetBtn.style.display = network.isHost ? '' : 'none';
+    deletePresetBtn.style.display = network.isHost && current && !BUILTIN_PRESETS[current] ? '' : 'none';
+}
+
+// Built-in maps, plus the host's own if one is loaded
+function updateMapSelect() {
+    mapSelect.innerHTML = '';
+    let current = '';
+    for (const name in BUILTIN_MAPS) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name.toUpperCase();
+        mapSelect.appendChild(option);
+        if (!current && sameMap(BUILTIN_MAPS[name], network.map)) current = name;
+    }
+    if (!current) {
+        const custom = document.createElement('option');
+        custom.value = '';
+        custom.textContent = network.map.name.toUpperCase();
+        mapSelect.appendChild(custom);
+    }
+    mapSelect.value = current;
+    mapSelect.disabled = !network.isHost;
+    loadMapBtn.style.display = network.isHost ? '' : 'none';
+}
+
+mapSelect.onchange = () => {
+    if (!(mapSelect.value in BUILTIN_MAPS) || !network.setMap(BUILTIN_MAPS[mapSelect.value])) updateRulesPanel();
+};
+
+loadMapBtn.onclick = () => {
+    mapFileInput.click();
+};
+
+mapFileInput.onchange = () => {
+    const file = mapFileInput.files[0];
+    mapFileInput.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+        network.setMap(parseMap(text));
+    }).catch((err) => {
+        showError(err.message.toUpperCase());
+    });
+};
+
+rulesPresetSelect.onchange = () => {
+    const preset = allPresets()[rulesPresetSelect.value];
+    if (!preset || !network.setRules(preset)) updateRulesPanel();
+};
+
+savePresetBtn.onclick = () => {
+    const name = (prompt('Preset name') || '').trim().slice(0, 24);
+    if (!name) return;
+    if (BUILTIN_PRESETS[name]) {
+        showError('PICK ANOTHER NAME');
+        return;
+    }
+    const presets = loadCustomPresets();
+    presets[name] = Object.assign({}, network.rules);
+    saveCustomPresets(presets);
+    updateRulesPanel();
+};
+
+deletePresetBtn.onclick = () => {
+    const presets = loadCustomPresets();
+    delete presets[rulesPresetSelect.value];
+    saveCustomPresets(presets);
+    updateRulesPanel();
+};
+
+buildRulesPanel();
+
+// ─── Spectating ──────────────────────────────────────────────
+
+// Clients can swap between playing and watching while no match is running
+function updateRoleButtons() {
+    const show = network.isHost ? 'none' : 'inline-block';
+    lobbyRoleBtn.style.display = show;
+    matchRoleBtn.style.display = show;
+    lobbyRoleBtn.textContent = network.spectating ? 'JOIN AS PLAYER' : 'SPECTATE';
+    matchRoleBtn.textContent = network.spectating ? 'PLAY NEXT MATCH' : 'SPECTATE NEXT MATCH';
+    // Spectators can't ask for a rematch they won't be in
+    restartBtn.style.display = network.spectating ? 'none' : '';
+}
+
+function toggleRole() {
+    network.requestRole(network.spectating ? 'player' : 'spectator');
+}
+
+function updateSpectatorView() {
+    const watching = network.spectating && isGameActive && !replay;
+    spectatorControls.classList.toggle('show', watching);
+    if (!replay) controlsHelp.style.display = network.spectating ? 'none' : '';
+    if (watching) updateFollowOptions();
+}
+
+function updateFollowOptions() {
+    if (!network.spectating) return;
+    if (followId && !network.players[followId]) followId = null;
+
+    spectateFollowSelect.innerHTML = '';
+    const free = document.createElement('option');
+    free.value = '';
+    free.textContent = 'FREE CAMERA';
+    spectateFollowSelect.appendChild(free);
+    for (const id in network.players) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = 'FOLLOW ' + network.players[id].name;
+        option.selected = id === followId;
+        spectateFollowSelect.appendChild(option);
+    }
+}
+
+// Step the camera to the previous/next player still in the round
+function cycleFollow(dir) {
+    const ids = Object.keys(network.players).filter((id) => network.players[id].alive);
+    if (ids.length === 0) return;
+    const index = ids.indexOf(followId);
+    const next = index === -1
+        ? (dir > 0 ? 0 : ids.length - 1)
+        : (index + dir + ids.length) % ids.length;
+    followId = ids[next];
+    spectateFollowSelect.value = followId;
+}
+
+lobbyRoleBtn.onclick = toggleRole;
+matchRoleBtn.onclick = toggleRole;
+
+spectateFollowSelect.onchange = () => {
+    followId = spectateFollowSelect.value || null;
+};
+
+// ─── Network Diagnostics ─────────────────────────────────────
+// F3 toggles a table of link stats: our link to the host, or for the host
+// one row per client. Cells turn amber or red when they point at lag.
+
+const NET_STATS_REFRESH = 500;
+const NET_STATS_COLUMNS = ['', 'RTT', 'JITTER', 'LOSS', 'LAST STATE', 'MSG/S IN·OUT', 'KB/S IN·OUT', 'BUFFER'];
+let netStatsTimer = null;
+
+function toggleNetStats(show) {
+    netStatsEl.classList.toggle('show', show);
+    network.setDetailedStats(show);
+    clearInterval(netStatsTimer);
+    netStatsTimer = show ? setInterval(updateNetStats, NET_STATS_REFRESH) : null;
+    if (show) updateNetStats();
+    localStorage.setItem(NET_STATS_KEY, show ? '1' : '0');
+}
+
+// [text, level] for each cell; level 0 ok, 1 worth a look, 2 lagging
+function netStatsCells(row) {
+    const kb = (bytes) => (bytes / 1024).toFixed(1);
+    return [
+        [row.name + (row.spectator ? ' (SPECTATING)' : ''), 0],
+        row.rtt === null ? ['-', 0] : [row.rtt + ' MS', row.rtt > 300 ? 2 : row.rtt > 150 ? 1 : 0],
+        [row.jitter + ' MS', row.jitter > 50 ? 2 : row.jitter > 20 ? 1 : 0],
+        row.loss === null ? ['-', 0] : [Math.round(row.loss * 100) + '%', row.loss > 0.1 ? 2 : row.loss > 0 ? 1 : 0],
+        row.sinceState === null ? ['-', 0] : [row.sinceState + ' MS', row.sinceState > 1000 ? 2 : row.sinceState > 300 ? 1 : 0],
+        [row.msgsIn + ' · ' + row.msgsOut, 0],
+        [kb(row.bytesIn) + ' · ' + kb(row.bytesOut), 0],
+        [kb(row.buffered) + ' KB', row.buffered > 64 * 1024 ? 2 : row.buffered > 16 * 1024 ? 1 : 0]
+    ];
+}
+
+function updateNetStats() {
+    const rows = network.getNetStats();
+    netStatsTitle.textContent = network.isHost ? 'NETWORK · CLIENTS' : 'NETWORK · LINK TO HOST';
+    netStatsRows.innerHTML = "";
+
+    const header = document.createElement('tr');
+    for (const label of NET_STATS_COLUMNS) {
+        const th = document.createElement('th');
+        th.textContent = label;
+        header.appendChild(th);
+    }
+    netStatsRows.appendChild(header);
+
+    if (rows.length === 0) {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = NET_STATS_COLUMNS.length;
+        td.textContent = network.isHost ? 'NO CLIENTS CONNECTED' : 'NOT CONNECTED';
+        tr.appendChild(td);
+        netStatsRows.appendChild(tr);
+        return;
+    }
+    for (const row of rows) {
+        const tr = document.createElement('tr');
+        for (const [text, level] of netStatsCells(row)) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            if (level) td.className = level === 2 ? 'net-bad' : 'net-warn';
+            tr.appendChild(td);
+        }
+        netStatsRows.appendChild(tr);
+    }
+}
+
+// ─── Replay Viewer ───────────────────────────────────────────
+
+let replaySeekDragging = false;
+
+function formatReplayTime(ticks) {
+    const total = Math.floor(ticks / TICK_RATE);
+    const mins = Math.floor(total / 60).toString().padStart(2, '0');
+    const secs = (total % 60).toString().padStart(2, '0');
+    return mins + ':' + secs;
+}
+
+// Host: save the last match as a file
+function downloadReplay() {
+    const data = network.getReplay();
+    if (!data) return;
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = replayFileName(data);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function openReplay(data) {
+    replay = new ReplayPlayer(data);
+    lastReplayFrame = performance.now();
+    followId = null;
+
+    replaySeek.max = replay.length;
+    replayMarks.innerHTML = '';
+    for (const marker of replay.markers) {
+        if (marker.type !== 'death') continue;
+        const option = document.createElement('option');
+        option.value = marker.tick;
+        replayMarks.appendChild(option);
+    }
+
+    replaySpeedSelect.innerHTML = '';
+    for (const speed of REPLAY_SPEEDS) {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = speed + 'x';
+        option.selected = speed === 1;
+        replaySpeedSelect.appendChild(option);
+    }
+
+    replayFollowSelect.innerHTML = '';
+    const free = document.createElement('option');
+    free.value = '';
+    free.textContent = 'FREE CAMERA';
+    replayFollowSelect.appendChild(free);
+    for (const entry of data.players) {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = 'FOLLOW ' + entry.name;
+        replayFollowSelect.appendChild(option);
+    }
+
+    showGame();
+    isGameActive = false; // nothing to steer
+    controlsHelp.style.display = 'none';
+    replayControls.classList.add('show');
+    lastScoreKey = '';
+    resetTrailCanvas();
+    updateReplayHud();
+}
+
+function closeReplay() {
+    replay = null;
+    followId = null;
+    replayControls.classList.remove('show');
+    controlsHelp.style.display = '';
+    speedHud.style.display = 'none';
+    lastScoreKey = '';
+    resetTrailCanvas();
+
+    if (network.gameStarted) {
+        showGame();
+    } else if (network.transport) {
+        showLobby();
+    } else {
+        showMenu();
+    }
+}
+
+function seekReplay(tick) {
+    replay.seek(tick);
+    // Cached trails may belong to another moment or round - redraw from the buffers
+    resetTrailCanvas();
+    updateReplayHud();
+}
+
+function toggleReplayPause() {
+    if (replay.ended) {
+        seekReplay(0);
+        replay.paused = false;
+    } else {
+        replay.paused = !replay.paused;
+    }
+    lastReplayFrame = performance.now();
+    updateReplayHud();
+}
+
+// Jump to just before the next (dir 1) or previous (dir -1) death
+function jumpToDeath(dir) {
+    const targets = replay.markers
+        .filter((m) => m.type === 'death')
+        .map((m) => Math.max(0, m.tick - REPLAY_DEATH_LEAD));
+    const now = replay.tick;
+    const target = dir > 0
+        ? targets.find((t) => t > now)
+        : targets.reverse().find((t) => t < now - TICK_RATE / 2);
+    if (target !== undefined) seekReplay(target);
+}
+
+function updateReplayHud() {
+    if (!replay) return;
+    if (!replaySeekDragging) replaySeek.value = replay.tick;
+    replayTimeEl.textContent = formatReplayTime(replay.tick) + ' / ' + formatReplayTime(replay.length);
+    replayPlayBtn.textContent = replay.paused || replay.ended ? 'PLAY' : 'PAUSE';
+
+    if (replay.phase === 'countdown' && replay.countdown > 0) {
+        countdownEl.textContent = replay.countdown;
+        countdownEl.classList.add('visible');
+    } else {
+        countdownEl.classList.remove('visible');
+    }
+
+    updateScore();
+    updateSpeedHud();
+}
+
+watchReplayBtn.onclick = () => {
+    replayFileInput.click();
+};
+
+// What to tell the player when a replay file won't load, by error type (see parseReplay)
+const REPLAY_ERRORS = {
+    'not-replay': 'NOT A REPLAY FILE',
+    'version': 'UNSUPPORTED REPLAY VERSION',
+    'tick-rate': 'REPLAY WAS RECORDED AT A DIFFERENT TICK RATE',
+    'damaged': 'REPLAY FILE IS DAMAGED',
+    'too-long': 'REPLAY IS TOO LONG TO PLAY'
+};
+
+replayFileInput.onchange = () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+        openReplay(parseReplay(text));
+    }).catch((err) => {
+        console.warn('Could not open replay:', err);
+        showError(REPLAY_ERRORS[err.type] || 'COULD NOT OPEN REPLAY');
+    });
+};
+
+saveReplayBtn.onclick = downloadReplay;
+replayPlayBtn.onclick = toggleReplayPause;
+replayPrevBtn.onclick = () => jumpToDeath(-1);
+replayNextBtn.onclick = () => jumpToDeath(1);
+replayCloseBtn.onclick = closeReplay;
+
+replaySeek.addEventListener('pointerdown', () => { replaySeekDragging = true; });
+replaySeek.addEventListener('pointerup', () => { replaySeekDragging = false; });
+replaySeek.addEventListener('input', () => {
+    seekReplay(Number(replaySeek.value));
+});
+
+replaySpeedSelect.onchange = () => {
+    replay.speed = Number(replaySpeedSelect.value);
+};
+
+replayFollowSelect.onchange = () => {
+    followId = replayFollowSelect.value || null;
+};
+
 // Keyboard controls
 const keysDown = new Set();
 
 function updateTurnDirection() {
-    if (!isGameActive) return;
+    if (!isGameActive || network.spectating) return;
     const left = keysDown.has("ArrowLeft") || keysDown.has("a") || keysDown.has("A");
     const right = keysDown.has("ArrowRight") || keysDown.has("d") || keysDown.has("D");
     let dir = 0;
     if (left && !right) dir = -1;
     if (right && !left) dir = 1;
+    predictor.recordInput(dir, performance.now());
     network.sendInput(dir);
 }
 
 document.addEventListener("keydown", (e) => {
+    if (e.key === 'F3') {
+        e.preventDefault();
+        toggleNetStats(!netStatsTimer);
+        return;
+    }
+    if (replay && e.target.tagName !== 'INPUT' && e.target.tagName !== 'SELECT') {
+        if (e.key === ' ') {
+            if (e.target.tagName === 'BUTTON') return; // the focused button handles it
+            e.preventDefault();
+            toggleReplayPause();
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            seekReplay(replay.tick + (e.key === 'ArrowLeft' ? -REPLAY_SEEK_STEP : REPLAY_SEEK_STEP));
+        } else if (e.key === ',' || e.key === '.') {
+            jumpToDeath(e.key === ',' ? -1 : 1);
+        }
+        return;
+    }
     if (!isGameActive) return;
+    if (e.key === "Enter" && e.target.tagName !== 'BUTTON') {
+        e.preventDefault();
+        chatInput.focus();
+        return;
+    }
+    if (network.spectating) {
+        if (e.target.tagName === 'SELECT') return;
+        if (["ArrowLeft", "ArrowRight", "a", "A", "d", "D"].includes(e.key)) {
+            e.preventDefault();
+            cycleFollow(e.key === "ArrowLeft" || e.key === "a" || e.key === "A" ? -1 : 1);
+        } else if (e.key === ' ' || e.key === 'Escape') {
+            e.preventDefault();
+            followId = null;
+            spectateFollowSelect.value = '';
+        }
+        return;
+    }
+    const emoteKey = Number(e.key) - 1;
+    if (emoteKeys[emoteKey] !== undefined && !e.repeat) {
+        if (!network.sendEmote(emoteKeys[emoteKey])) showError('SLOW DOWN');
+        return;
+    }
     if (["ArrowLeft", "ArrowRight", "a", "A", "d", "D"].includes(e.key)) {
         e.preventDefault();
         if (!keysDown.has(e.key)) {
@@ -604,6 +2166,13 @@ document.addEventListener("keyup", (e) => {
 });
 
 // Initialize
+const savedSession = loadSession();
+if (savedSession) {
+    rejoinBtn.textContent = 'REJOIN ROOM ' + savedSession.roomCode;
+    rejoinBtn.style.display = 'inline-block';
+    if (savedSession.name) nameInput.value = savedSession.name;
+}
 renderStaticGrid();
 draw();
 showMenu();
+if (localStorage.getItem(NET_STATS_KEY) === '1') toggleNetStats(true);
@@ -0,0 +1,55 @@
+// Client for the room directory (server/lobby.js).
+// Hosts of public rooms list them here so the menu's room browser can show
+// them; the directory only ever hears about rooms, never game traffic.
+// Listings come from whoever runs the service, so callers treat every field
+// as untrusted text.
+
+export const LISTING_REFRESH = 10000; // ms - the service drops listings after 30s without one
+
+function randomKey() {
+  let key = '';
+  for (let i = 0; i < 4; i++) {
+    key += Math.random().toString(36).slice(2, 8);
+  }
+  return key;
+}
+
+// Drop anything that doesn't look like a listing
+function isListing(room) {
+  return room !== null && typeof room === 'object' && typeof room.code === 'string' && typeof room.name === 'string' &&
+    Number.isInteger(room.players) && Number.isInteger(room.maxPlayers) && typeof room.rules === 'string';
+}
+
+export class RoomDirectory {
+  constructor(url) {
+    this.url = url.replace(/\/+$/, '');
+    this.key = randomKey(); // proves later updates come from the host that listed the room
+  }
+
+  // Open rooms, as the service last heard of them
+  async list() {
+    const res = await fetch(this.url + '/rooms');
+    if (!res.ok) throw new Error('Room directory answered ' + res.status);
+    const body = await res.json();
+    return Array.isArray(body.rooms) ? body.rooms.filter(isListing) : [];
+  }
+
+  // List a room, or refresh its listing
+  publish(listing) {
+    return this.request('PUT', listing.code, Object.assign({ key: this.key }, listing));
+  }
+
+  unpublish(code) {
+    return this.request('DELETE', code, { key: this.key });
+  }
+
+  async request(method, code, body) {
+    const res = await fetch(this.url + '/rooms/' + encodeURIComponent(code), {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      keepalive: true // let an unpublish go out while the page is closing
+    });
+    if (!res.ok) throw new Error('Room directory answered ' + res.status);
+  }
+}
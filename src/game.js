@@ -12,13 +12,51 @@ export const COLLISION_RADIUS_SQ = COLLISION_RADIUS * COLLISION_RADIUS;
 export const COLLISION_SKIP_OWN = 20;
 export const MAX_LIVES = 6;
 
+// Classic match rules - the host can change any of these per match (see rules.js)
+export const DEFAULT_RULES = Object.freeze({
+  lives: MAX_LIVES,
+  baseSpeed: BASE_SPEED,           // px per tick at the start of a round
+  speedIncrement: SPEED_INCREMENT, // added every speedInterval seconds...
+  speedInterval: SPEED_INTERVAL,
+  maxSpeed: MAX_SPEED,             // ...up to this
+  turnSpeed: TURN_SPEED,           // radians per tick
+  trailMax: TRAIL_MAX,             // points each trail keeps
+  arenaWidth: CANVAS_W,
+  arenaHeight: CANVAS_H,
+  teams: 0,                        // 0 = free-for-all, otherwise how many teams
+  teamCollisions: 1,               // 0 = ride through teammates' trails
+  shrinkStart: 0,                  // seconds into a round before the walls first close in (0 = never)
+  shrinkInterval: 10,              // seconds between shrinks
+  shrinkStep: 50,                  // px each wall moves in per shrink...
+  shrinkMin: 300,                  // ...until the arena's short side is down to this
+  wrap: 0                          // 1 = leaving one edge brings you in at the opposite one
+});
+
+// Shrinking arena timing (seconds)
+export const SHRINK_WARNING = 3;  // warning shown before each shrink
+export const SHRINK_DURATION = 1; // walls slide in over this long
+
+// Power-up effects (bit flags in p.effects - see powerups.js for pickups)
+export const EFFECT_BOOST = 1;  // moving at BOOST_FACTOR x speed
+export const EFFECT_PHASE = 2;  // passes through trails (not walls)
+export const EFFECT_SHIELD = 4; // survives one trail hit
+export const BOOST_FACTOR = 1.6;
+export const SHIELD_GRACE_TICKS = 20; // phasing after a shield breaks, to get clear of the trail
+
+// Death causes besides another player's id (see p.deathCause)
+export const DEATH_WALL = 'wall';
+export const DEATH_SELF = 'self';
+
+// Erased trail points keep their place in the buffer (so trailTotal numbering
+// holds) but move here, off the arena, and are skipped when drawing
+export const TRAIL_GAP = -1000;
+
 // Spatial grid constants - cell size should be >= COLLISION_RADIUS * 2
 const GRID_CELL_SIZE = 16;
-const GRID_COLS = Math.ceil(CANVAS_W / GRID_CELL_SIZE);
-const GRID_ROWS = Math.ceil(CANVAS_H / GRID_CELL_SIZE);
-const GRID_TOTAL = GRID_COLS * GRID_ROWS;
 
-// Spawn positions for up to 8 players
+export const PORTAL_RADIUS = 16; // px from a portal's centre that takes you through
+
+// Spawn positions for up to 8 players (on the default arena - startRound scales them)
 export const spawnConfigs = [
   { x: 250, y: 200, angle: Math.PI * 0.25 },
   { x: 1150, y: 200, angle: Math.PI * 0.75 },
@@ -32,225 +70,476 @@ export const spawnConfigs = [
 
 export const COLORS = ["#ff8c00", "#00bfff", "#ff2e63", "#39ff14", "#e040fb", "#ffeb3b", "#00e5ff", "#ff6e40"];
 
+// Room size: every player gets their own spawn and their own color
+export const MAX_PLAYERS = spawnConfigs.length;
+
+export function isColorIndex(v) {
+  return Number.isInteger(v) && v >= 0 && v < COLORS.length;
+}
+
 // ─── Spatial Grid ────────────────────────────────────────────
 // OPTIMIZATION: Use a flat Uint8Array bitfield instead of array-per-cell
 // Each cell stores a single byte: 0 = empty, 1+ = occupied (player index + 1)
 // This gives O(1) collision check and bounded memory
-let spatialBitfield = null;
-let gridDirty = true;
-
-// For detailed collision checking, we still need point data
-// But we use a capped pool to prevent unbounded growth
-const MAX_GRID_ENTRIES = 8 * TRAIL_MAX; // 8 players × 600 points max
-let gridPointsX = new Float32Array(MAX_GRID_ENTRIES);
-let gridPointsY = new Float32Array(MAX_GRID_ENTRIES);
-let gridPointsPlayer = new Uint8Array(MAX_GRID_ENTRIES); // player index
-let gridPointsTrailPos = new Uint16Array(MAX_GRID_ENTRIES); // trail position
-let gridPointCount = 0;
-
-// Cell-to-points mapping: each cell stores start index and count in the points arrays
-// Format: [startIdx, count] pairs, but we use a simpler approach with the bitfield
-let cellToBitfield = null;
-
-function createBitfield() {
-  return new Uint8Array(GRID_TOTAL);
+//
+// Grids are plain objects so every simulation owns its own; callers that don't
+// pass one share the module-level default grid. A grid also carries the arena
+// it covers - size, whether its edges wrap around, and the map's walls,
+// portals and spawns (see maps.js) - so movement, collisions and spawns read
+// the arena from it.
+
+export function createSpatialGrid(width = CANVAS_W, height = CANVAS_H, trailMax = TRAIL_MAX, map = null, wrap = false) {
+  const cols = Math.ceil(width / GRID_CELL_SIZE);
+  const rows = Math.ceil(height / GRID_CELL_SIZE);
+  // For detailed collision checking, we still need point data
+  // But we use a capped pool to prevent unbounded growth
+  const maxEntries = 8 * trailMax; // 8 players × a full trail each
+  const grid = {
+    width,
+    height,
+    cols,
+    rows,
+    trailMax,
+    maxEntries,
+    bitfield: new Uint8Array(cols * rows),
+    pointsX: new Float32Array(maxEntries),
+    pointsY: new Float32Array(maxEntries),
+    pointsPlayer: new Uint8Array(maxEntries), // player index
+    pointsTrailPos: new Uint16Array(maxEntries), // trail position
+    pointCount: 0,
+    dirty: true,
+    wrap,
+    walls: map ? map.walls : [],
+    wallCells: new Uint8Array(cols * rows), // 1 = a wall is within reach of this cell; never cleared
+    portals: map ? map.portals : [],
+    spawns: map && map.spawns.length > 0 ? map.spawns : null,
+  };
+  markWallCells(grid);
+  return grid;
 }
 
-function clearBitfield() {
-  if (spatialBitfield) {
-    spatialBitfield.fill(0);
-  }
-  gridPointCount = 0;
+const defaultGrid = createSpatialGrid();
+
+function clearBitfield(grid) {
+  grid.bitfield.fill(0);
+  grid.pointCount = 0;
 }
 
-function getCellIndex(x, y) {
+function getCellIndex(grid, x, y) {
   const col = (x / GRID_CELL_SIZE) | 0;
   const row = (y / GRID_CELL_SIZE) | 0;
-  if (col < 0 || col >= GRID_COLS || row < 0 || row >= GRID_ROWS) return -1;
-  return row * GRID_COLS + col;
+  if (col < 0 || col >= grid.cols || row < 0 || row >= grid.rows) return -1;
+  return row * grid.cols + col;
 }
 
 // Rebuild spatial grid from all player trails
-export function rebuildSpatialGrid(players) {
-  if (!spatialBitfield) spatialBitfield = createBitfield();
-  clearBitfield();
+export function rebuildSpatialGrid(players, grid = defaultGrid) {
+  clearBitfield(grid);
 
-  let playerIdx = 0;
   for (const id in players) {
     const p = players[id];
-    playerIdx++;
     if (!p.alive) continue;
+    const playerIdx = p.spawnIndex + 1; // same tag trailPush uses
 
     const len = p.trailLen;
     for (let i = 0; i < len; i++) {
-      const idx = (p.trailStart + i) % TRAIL_MAX;
-      const cellIdx = getCellIndex(p.trailX[idx], p.trailY[idx]);
+      const idx = (p.trailStart + i) % p.trailX.length;
+      const cellIdx = getCellIndex(grid, p.trailX[idx], p.trailY[idx]);
       if (cellIdx >= 0) {
         // Mark cell as occupied by this player
-        spatialBitfield[cellIdx] = playerIdx;
-        
+        grid.bitfield[cellIdx] = playerIdx;
+
         // Store point data if we have room (for precise collision)
-        if (gridPointCount < MAX_GRID_ENTRIES) {
-          gridPointsX[gridPointCount] = p.trailX[idx];
-          gridPointsY[gridPointCount] = p.trailY[idx];
-          gridPointsPlayer[gridPointCount] = playerIdx;
-          gridPointsTrailPos[gridPointCount] = i;
-          gridPointCount++;
+        if (grid.pointCount < grid.maxEntries) {
+          grid.pointsX[grid.pointCount] = p.trailX[idx];
+          grid.pointsY[grid.pointCount] = p.trailY[idx];
+          grid.pointsPlayer[grid.pointCount] = playerIdx;
+          grid.pointsTrailPos[grid.pointCount] = i;
+          grid.pointCount++;
         }
       }
     }
   }
-  gridDirty = false;
+  grid.dirty = false;
+}
+
+// True when (x, y) is outside the arena (or within `inset` px of its walls,
+// while it shrinks) or in a cell some trail passes through. Off the edge of a
+// wrap-around arena counts as the opposite side. Cell-level only - coarser
+// than checkCollisions, meant for looking ahead (bots, pickup spawns) rather
+// than deciding deaths.
+export function isCellBlocked(x, y, grid = defaultGrid, inset = 0) {
+  if (grid.wrap && inset === 0) {
+    x = wrapCoord(x, grid.width);
+    y = wrapCoord(y, grid.height);
+  } else if (x < inset || x > grid.width - inset || y < inset || y > grid.height - inset) {
+    return true;
+  }
+  const cellIdx = getCellIndex(grid, x, y);
+  return cellIdx < 0 || grid.bitfield[cellIdx] !== 0 || grid.wallCells[cellIdx] !== 0;
+}
+
+// ─── Map Geometry ────────────────────────────────────────────
+// Walls are polygons. The cells a head could touch one from are flagged in
+// grid.wallCells when the grid is made, so only heads in those cells pay for
+// the exact distance test.
+
+function distanceToSegment(x, y, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSq)) : 0;
+  const ex = x - (x1 + t * dx);
+  const ey = y - (y1 + t * dy);
+  return Math.sqrt(ex * ex + ey * ey);
+}
+
+// Even-odd rule, so either winding works
+function insidePolygon(poly, x, y) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i];
+    const [xj, yj] = poly[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// How far (x, y) is from a wall polygon - 0 inside it
+function distanceToWall(poly, x, y) {
+  if (insidePolygon(poly, x, y)) return 0;
+  let best = Infinity;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    best = Math.min(best, distanceToSegment(x, y, poly[j][0], poly[j][1], poly[i][0], poly[i][1]));
+  }
+  return best;
+}
+
+function markWallCells(grid) {
+  // Any point of a cell is within half a diagonal of its centre
+  const reach = GRID_CELL_SIZE * Math.SQRT1_2 + COLLISION_RADIUS;
+  for (const wall of grid.walls) {
+    const xs = wall.map((pt) => pt[0]);
+    const ys = wall.map((pt) => pt[1]);
+    const col0 = Math.max(0, Math.floor((Math.min(...xs) - COLLISION_RADIUS) / GRID_CELL_SIZE));
+    const col1 = Math.min(grid.cols - 1, Math.floor((Math.max(...xs) + COLLISION_RADIUS) / GRID_CELL_SIZE));
+    const row0 = Math.max(0, Math.floor((Math.min(...ys) - COLLISION_RADIUS) / GRID_CELL_SIZE));
+    const row1 = Math.min(grid.rows - 1, Math.floor((Math.max(...ys) + COLLISION_RADIUS) / GRID_CELL_SIZE));
+    for (let row = row0; row <= row1; row++) {
+      for (let col = col0; col <= col1; col++) {
+        const cx = (col + 0.5) * GRID_CELL_SIZE;
+        const cy = (row + 0.5) * GRID_CELL_SIZE;
+        if (distanceToWall(wall, cx, cy) <= reach) grid.wallCells[row * grid.cols + col] = 1;
+      }
+    }
+  }
+}
+
+// True when a head at (x, y) touches one of the map's walls
+export function hitsWall(x, y, grid = defaultGrid) {
+  const cellIdx = getCellIndex(grid, x, y);
+  if (cellIdx < 0 || grid.wallCells[cellIdx] === 0) return false;
+  for (const wall of grid.walls) {
+    if (distanceToWall(wall, x, y) < COLLISION_RADIUS) return true;
+  }
+  return false;
+}
+
+// The portal end to come out of when (x, y) is inside one, or null
+function portalExit(grid, x, y) {
+  const radiusSq = PORTAL_RADIUS * PORTAL_RADIUS;
+  for (const { a, b } of grid.portals) {
+    if ((x - a[0]) * (x - a[0]) + (y - a[1]) * (y - a[1]) < radiusSq) return b;
+    if ((x - b[0]) * (x - b[0]) + (y - b[1]) * (y - b[1]) < radiusSq) return a;
+  }
+  return null;
 }
 
 // Insert a single new trail point into the grid (incremental update)
-function gridInsertPoint(playerId, bufferIdx, trailPosition, x, y, playerIndex) {
-  if (!spatialBitfield) return;
-  const cellIdx = getCellIndex(x, y);
+function gridInsertPoint(grid, trailPosition, x, y, playerIndex) {
+  const cellIdx = getCellIndex(grid, x, y);
   if (cellIdx >= 0) {
-    spatialBitfield[cellIdx] = playerIndex || 1;
-    
+    grid.bitfield[cellIdx] = playerIndex || 1;
+
     // Store detailed point if we have room
-    if (gridPointCount < MAX_GRID_ENTRIES) {
-      gridPointsX[gridPointCount] = x;
-      gridPointsY[gridPointCount] = y;
-      gridPointsPlayer[gridPointCount] = playerIndex || 1;
-      gridPointsTrailPos[gridPointCount] = trailPosition;
-      gridPointCount++;
+    if (grid.pointCount < grid.maxEntries) {
+      grid.pointsX[grid.pointCount] = x;
+      grid.pointsY[grid.pointCount] = y;
+      grid.pointsPlayer[grid.pointCount] = playerIndex || 1;
+      grid.pointsTrailPos[grid.pointCount] = trailPosition;
+      grid.pointCount++;
     }
   }
 }
 
 // Create a new player
-export function createPlayer(id, index, name) {
+export function createPlayer(id, index, name, rules = DEFAULT_RULES) {
   return {
     id,
     name: typeof name === "string" && name.trim().length > 0 ? name.trim() : "Player",
-    x: CANVAS_W / 2,
-    y: CANVAS_H / 2,
+    x: rules.arenaWidth / 2,
+    y: rules.arenaHeight / 2,
     angle: 0,
     turning: 0,
-    trailX: new Float32Array(TRAIL_MAX),
-    trailY: new Float32Array(TRAIL_MAX),
+    trailX: new Float32Array(rules.trailMax), // ring buffers - their length is the trail cap
+    trailY: new Float32Array(rules.trailMax),
     trailLen: 0,
     trailStart: 0,
-    trailSentCount: 0,
+    trailTotal: 0, // points ever pushed this round (never wraps, unlike trailLen)
+    trailEpoch: 0, // bumped whenever the trail is cleared or erased, so clients can tell a rewrite from a missed update
+    effects: 0,    // EFFECT_* flags
+    boostTicks: 0, // host: ticks left on timed effects
+    phaseTicks: 0,
     alive: true,
+    deathCause: null, // how the last death happened: DEATH_WALL, DEATH_SELF or the id of whose trail it was
     score: 0,
-    lives: MAX_LIVES,
+    lives: rules.lives,
     color: COLORS[index % COLORS.length],
+    colorIndex: index % COLORS.length, // into COLORS - players can pick a free one in the lobby
     spawnIndex: index,
+    team: null, // team index in team mode (see teams.js)
   };
 }
 
-// Calculate current game speed based on time
-export function getGameSpeed(roundStartTime) {
-  if (!roundStartTime) return BASE_SPEED;
-  const elapsed = (Date.now() - roundStartTime) / 1000;
-  const boosts = (elapsed / SPEED_INTERVAL) | 0;
-  return Math.min(BASE_SPEED + boosts * SPEED_INCREMENT, MAX_SPEED);
+// Give a player trail buffers holding `trailMax` points (empties the trail)
+export function resizeTrail(p, trailMax) {
+  if (p.trailX.length !== trailMax) {
+    p.trailX = new Float32Array(trailMax);
+    p.trailY = new Float32Array(trailMax);
+  }
+  resetTrail(p);
+}
+
+// Game speed after `elapsed` seconds of a round
+export function getSpeedForElapsed(elapsed, rules = DEFAULT_RULES) {
+  const boosts = (elapsed / rules.speedInterval) | 0;
+  return Math.min(rules.baseSpeed + boosts * rules.speedIncrement, rules.maxSpeed);
+}
+
+// Calculate current game speed based on wall-clock time (HUD only - the
+// simulation derives speed from its tick counter)
+export function getGameSpeed(roundStartTime, rules = DEFAULT_RULES, now = Date.now()) {
+  if (!roundStartTime) return rules.baseSpeed;
+  return getSpeedForElapsed((now - roundStartTime) / 1000, rules);
+}
+
+// How far every wall has moved in after `elapsed` seconds of a round. The
+// first shrink starts at rules.shrinkStart, then one every shrinkInterval,
+// each sliding the walls shrinkStep px in over SHRINK_DURATION.
+export function getArenaInset(elapsed, rules = DEFAULT_RULES) {
+  if (!rules.shrinkStart || elapsed < rules.shrinkStart) return 0;
+  const since = elapsed - rules.shrinkStart;
+  const shrinks = Math.floor(since / rules.shrinkInterval);
+  const sliding = Math.min(1, (since - shrinks * rules.shrinkInterval) / SHRINK_DURATION);
+  const maxInset = Math.max(0, (Math.min(rules.arenaWidth, rules.arenaHeight) - rules.shrinkMin) / 2);
+  return Math.min((shrinks + sliding) * rules.shrinkStep, maxInset);
+}
+
+// When (seconds into the round) the walls next start to move, or null if
+// they never will again
+export function getNextShrink(elapsed, rules = DEFAULT_RULES) {
+  if (!rules.shrinkStart) return null;
+  const next = elapsed < rules.shrinkStart
+    ? rules.shrinkStart
+    : rules.shrinkStart + (Math.floor((elapsed - rules.shrinkStart) / rules.shrinkInterval) + 1) * rules.shrinkInterval;
+  return getArenaInset(next + SHRINK_DURATION, rules) > getArenaInset(next, rules) ? next : null;
 }
 
 // Trail helpers (circular buffer)
-export function trailPush(p, x, y) {
-  if (p.trailLen < TRAIL_MAX) {
-    const idx = (p.trailStart + p.trailLen) % TRAIL_MAX;
+export function trailPush(p, x, y, grid = defaultGrid) {
+  const max = p.trailX.length;
+  p.trailTotal++;
+  if (p.trailLen < max) {
+    const idx = (p.trailStart + p.trailLen) % max;
     p.trailX[idx] = x;
     p.trailY[idx] = y;
     p.trailLen++;
-    gridInsertPoint(p.id, idx, p.trailLen - 1, x, y, p.spawnIndex + 1);
+    gridInsertPoint(grid, p.trailLen - 1, x, y, p.spawnIndex + 1);
   } else {
     p.trailX[p.trailStart] = x;
     p.trailY[p.trailStart] = y;
     // When wrapping, we need a full grid rebuild since we're overwriting old points
-    gridDirty = true;
-    p.trailStart = (p.trailStart + 1) % TRAIL_MAX;
-    if (p.trailSentCount > 0) p.trailSentCount--;
+    grid.dirty = true;
+    p.trailStart = (p.trailStart + 1) % max;
+  }
+}
+
+// Clear a player's trail and start a new epoch (a byte on the wire, so it wraps)
+export function resetTrail(p) {
+  p.trailLen = 0;
+  p.trailStart = 0;
+  p.trailTotal = 0;
+  p.trailEpoch = (p.trailEpoch + 1) & 0xff;
+}
+
+export function isTrailGap(x) {
+  return x < TRAIL_GAP / 2;
+}
+
+// Erase every trail point within `radius` of (x, y). Players who lost points
+// get a new trail epoch, so the host resends their whole trail and clients redraw it.
+export function eraseTrails(players, x, y, radius, grid = defaultGrid) {
+  const radiusSq = radius * radius;
+  for (const id in players) {
+    const p = players[id];
+    let erased = false;
+    for (let i = 0; i < p.trailLen; i++) {
+      const idx = (p.trailStart + i) % p.trailX.length;
+      const dx = p.trailX[idx] - x;
+      const dy = p.trailY[idx] - y;
+      if (dx * dx + dy * dy <= radiusSq) {
+        p.trailX[idx] = TRAIL_GAP;
+        p.trailY[idx] = TRAIL_GAP;
+        erased = true;
+      }
+    }
+    if (erased) {
+      p.trailEpoch = (p.trailEpoch + 1) & 0xff;
+      grid.dirty = true;
+    }
   }
 }
 
 export function trailGetIndex(p, i) {
-  return (p.trailStart + i) % TRAIL_MAX;
+  return (p.trailStart + i) % p.trailX.length;
 }
 
-// Move player
-export function movePlayer(p, speed) {
-  p.angle += p.turning * TURN_SPEED;
+// Bring a coordinate that ran off a wrap-around arena back in from the other side
+function wrapCoord(v, size) {
+  return v - Math.floor(v / size) * size;
+}
+
+// Move player (the grid's arena size is where the walls are, `inset` px in
+// from it while the arena shrinks)
+export function movePlayer(p, speed, grid = defaultGrid, turnSpeed = TURN_SPEED, inset = 0) {
+  p.angle += p.turning * turnSpeed;
   p.x += Math.cos(p.angle) * speed;
   p.y += Math.sin(p.angle) * speed;
 
-  trailPush(p, p.x, p.y);
+  trailPush(p, p.x, p.y, grid);
+
+  // Off the edge of a wrap-around arena: back in at the opposite edge. Once
+  // the walls start closing in they are solid. The gap point keeps the trail
+  // from being drawn across the arena.
+  if (grid.wrap && inset === 0 && (p.x < 0 || p.x > grid.width || p.y < 0 || p.y > grid.height)) {
+    p.x = wrapCoord(p.x, grid.width);
+    p.y = wrapCoord(p.y, grid.height);
+    trailPush(p, TRAIL_GAP, TRAIL_GAP, grid);
+    trailPush(p, p.x, p.y, grid);
+  }
+
+  // Through a portal: out of the other end on the same heading, just clear of
+  // it. The gap point keeps the trail from joining the two ends.
+  const exit = grid.portals.length > 0 ? portalExit(grid, p.x, p.y) : null;
+  if (exit) {
+    p.x = exit[0] + Math.cos(p.angle) * (PORTAL_RADIUS + 1);
+    p.y = exit[1] + Math.sin(p.angle) * (PORTAL_RADIUS + 1);
+    trailPush(p, TRAIL_GAP, TRAIL_GAP, grid);
+    trailPush(p, p.x, p.y, grid);
+  }
 
-  if (p.x < 0 || p.x > CANVAS_W || p.y < 0 || p.y > CANVAS_H) {
+  if (p.x < inset || p.x > grid.width - inset || p.y < inset || p.y > grid.height - inset) {
     p.alive = false;
+    p.deathCause = DEATH_WALL;
   }
 }
 
-// Check collisions using spatial bitfield — O(1) cell lookup + local point check
-export function checkCollisions(players) {
+// Check collisions using spatial bitfield — O(1) cell lookup + local point check.
+// With `teamCollisions` off, players pass through their teammates' trails.
+// Map walls kill whatever effects a player has. On a wrap-around arena the
+// neighbourhood and distances reach across the edges. Whoever dies gets a
+// deathCause: DEATH_WALL, DEATH_SELF or the id of the player whose trail it was.
+export function checkCollisions(players, grid = defaultGrid, teamCollisions = true) {
   // Rebuild grid if dirty (happens when any trail wraps around)
-  if (gridDirty || !spatialBitfield) {
-    rebuildSpatialGrid(players);
+  if (grid.dirty) {
+    rebuildSpatialGrid(players, grid);
   }
 
+  const { bitfield, pointsX, pointsY, pointsPlayer, pointsTrailPos, wrap } = grid;
+  const halfW = grid.width / 2;
+  const halfH = grid.height / 2;
+
   const playerIds = Object.keys(players);
   const aliveList = [];
-  const playerIndexMap = {}; // id -> index (1-based)
-  
-  let idx = 0;
+  const playerIndexMap = {}; // id -> grid tag (spawnIndex + 1, as stored by trailPush)
+  const tagTeams = [];       // grid tag -> team
+  const tagIds = [];         // grid tag -> player id
+
   for (let k = 0; k < playerIds.length; k++) {
     const p = players[playerIds[k]];
-    idx++;
-    playerIndexMap[p.id] = idx;
+    playerIndexMap[p.id] = p.spawnIndex + 1;
+    tagTeams[p.spawnIndex + 1] = p.team;
+    tagIds[p.spawnIndex + 1] = p.id;
     if (p.alive) aliveList.push(p);
   }
 
   for (let a = 0; a < aliveList.length; a++) {
     const p = aliveList[a];
+    if (grid.walls.length > 0 && hitsWall(p.x, p.y, grid)) {
+      p.alive = false;
+      p.deathCause = DEATH_WALL;
+      continue;
+    }
+    if (p.effects & EFFECT_PHASE) continue; // trails can't touch it
     const px = p.x;
     const py = p.y;
     const myIndex = playerIndexMap[p.id];
+    const passTeammates = !teamCollisions && p.team !== null;
 
     // Check the cell the player is in and its 8 neighbors
     const col = (px / GRID_CELL_SIZE) | 0;
     const row = (py / GRID_CELL_SIZE) | 0;
     let hit = false;
+    let hitTag = 0; // grid tag of the trail we ran into
 
     for (let dr = -1; dr <= 1 && !hit; dr++) {
       for (let dc = -1; dc <= 1 && !hit; dc++) {
-        const nr = row + dr;
-        const nc = col + dc;
-        if (nr < 0 || nr >= GRID_ROWS || nc < 0 || nc >= GRID_COLS) continue;
+        let nr = row + dr;
+        let nc = col + dc;
+        if (wrap) {
+          nr = (nr + grid.rows) % grid.rows;
+          nc = (nc + grid.cols) % grid.cols;
+        } else if (nr < 0 || nr >= grid.rows || nc < 0 || nc >= grid.cols) {
+          continue;
+        }
 
-        const cellIdx = nr * GRID_COLS + nc;
+        const cellIdx = nr * grid.cols + nc;
         
         // Quick check: is anyone in this cell?
-        if (spatialBitfield[cellIdx] === 0) continue;
+        if (bitfield[cellIdx] === 0) continue;
 
         // Someone is here - do precise collision check against all points
         // We iterate through the stored points looking for ones in this neighborhood
-        for (let j = 0; j < gridPointCount && !hit; j++) {
-          const ptX = gridPointsX[j];
-          const ptY = gridPointsY[j];
+        for (let j = 0; j < grid.pointCount && !hit; j++) {
+          const ptX = pointsX[j];
+          const ptY = pointsY[j];
           
           // Quick cell check
-          const ptCellIdx = getCellIndex(ptX, ptY);
+          const ptCellIdx = getCellIndex(grid, ptX, ptY);
           if (ptCellIdx !== cellIdx) continue;
           
-          const ptPlayerIdx = gridPointsPlayer[j];
-          const trailPos = gridPointsTrailPos[j];
+          const ptPlayerIdx = pointsPlayer[j];
+          const trailPos = pointsTrailPos[j];
           const isSelf = ptPlayerIdx === myIndex;
+          if (!isSelf && passTeammates && tagTeams[ptPlayerIdx] === p.team) continue;
 
           // Skip own recent trail points
           if (isSelf) {
             if (trailPos >= p.trailLen - COLLISION_SKIP_OWN) continue;
           } else {
             // Find the other player and check if this point is recent
-            if (trailPos >= 598) continue; // Skip very recent points
+            if (trailPos >= grid.trailMax - 2) continue; // Skip very recent points
           }
 
-          const dx = px - ptX;
-          const dy = py - ptY;
+          let dx = px - ptX;
+          let dy = py - ptY;
+          if (wrap) {
+            // The short way round, across the seam if that's closer
+            if (dx > halfW) dx -= grid.width;
+            else if (dx < -halfW) dx += grid.width;
+            if (dy > halfH) dy -= grid.height;
+            else if (dy < -halfH) dy += grid.height;
+          }
           
           // Fast AABB reject
           if (dx > COLLISION_RADIUS || dx < -COLLISION_RADIUS ||
@@ -258,47 +547,74 @@ export function checkCollisions(players) {
 
           if (dx * dx + dy * dy < COLLISION_RADIUS_SQ) {
             hit = true;
+            hitTag = ptPlayerIdx;
             break;
           }
         }
       }
     }
 
-    if (hit) p.alive = false;
+    if (!hit) continue;
+    if (p.effects & EFFECT_SHIELD) {
+      // The shield takes the hit; phase briefly so the same trail doesn't kill next tick
+      p.effects = (p.effects & ~EFFECT_SHIELD) | EFFECT_PHASE;
+      p.phaseTicks = SHIELD_GRACE_TICKS;
+    } else {
+      p.alive = false;
+      p.deathCause = hitTag === myIndex ? DEATH_SELF : tagIds[hitTag];
+    }
   }
 }
 
-// Start a new round - only players with lives > 0 participate
-export function startRound(players) {
+export function clearEffects(p) {
+  p.effects = 0;
+  p.boostTicks = 0;
+  p.phaseTicks = 0;
+}
+
+// Start a new round - only players with lives > 0 participate. They start
+// from the map's spawn points if it has any.
+export function startRound(players, grid = defaultGrid) {
   let i = 0;
   for (const id in players) {
     const p = players[id];
     if (p.lives <= 0) {
       p.alive = false;
-      p.trailLen = 0;
-      p.trailStart = 0;
-      p.trailSentCount = 0;
+      resetTrail(p);
+      clearEffects(p);
       continue;
     }
-    const spawn = spawnConfigs[i % spawnConfigs.length];
-    p.x = spawn.x;
-    p.y = spawn.y;
-    p.angle = spawn.angle;
+    if (grid.spawns) {
+      const spawn = grid.spawns[i % grid.spawns.length];
+      p.x = spawn.x;
+      p.y = spawn.y;
+      p.angle = spawn.angle;
+    } else {
+      const spawn = spawnConfigs[i % spawnConfigs.length];
+      p.x = spawn.x * grid.width / CANVAS_W;
+      p.y = spawn.y * grid.height / CANVAS_H;
+      p.angle = spawn.angle;
+    }
     p.turning = 0;
-    p.trailLen = 0;
-    p.trailStart = 0;
-    p.trailSentCount = 0;
+    resetTrail(p);
+    clearEffects(p);
     p.alive = true;
+    p.deathCause = null;
     i++;
   }
 
   // Reset spatial grid for new round
-  gridDirty = true;
-  if (spatialBitfield) clearBitfield();
+  grid.dirty = true;
+  clearBitfield(grid);
 }
 
-// Track whether we've sent static info for each player (name, color, spawnIndex)
-const staticSentTo = new Set();
+const TWO_PI = Math.PI * 2;
+
+// Wrap an angle into [0, 2π) - heading accumulates without bound while turning
+export function normalizeAngle(angle) {
+  const a = angle % TWO_PI;
+  return a < 0 ? a + TWO_PI : a;
+}
 
 // Pre-allocated buffer for trail serialization (avoids GC pressure)
 // Max 8 players × 600 trail points × 2 coords = 9600 integers max per full sync
@@ -306,77 +622,81 @@ const staticSentTo = new Set();
 const TRAIL_BUFFER_SIZE = 1200; // Should handle most delta updates
 const trailSerializeBuffer = new Int16Array(TRAIL_BUFFER_SIZE);
 
-export function resetStaticSent() {
-  staticSentTo.clear();
+// What a client holds once it has applied a state: per player, the trail
+// epoch and how many points of it. Serializing against a baseline sends only
+// what the client is missing; players not in it get everything, names included.
+export function captureBaseline(players) {
+  const baseline = {};
+  for (const id in players) {
+    baseline[id] = { e: players[id].trailEpoch, t: players[id].trailTotal };
+  }
+  return baseline;
 }
 
 // Serialize game state for network transmission - with delta trail encoding
-// Uses pre-allocated buffers to avoid GC pressure
-export function serializeGameState(players, roundActive, countdown, roundStartTime, matchWinner) {
+// against `baseline` (see captureBaseline; {} for a full snapshot). Pickups
+// are few, so every state carries all of them.
+export function serializeGameState(players, roundActive, countdown, roundStartTime, matchWinner, phase, baseline = {}, seq = 0, pickups = []) {
   const state = {
     p: {},  // players (shortened key)
+    pu: pickups.map((pk) => ({ i: pk.id, k: pk.kind, x: pk.x, y: pk.y })),
     ra: roundActive,
     cd: countdown,
     rst: roundStartTime,
     mw: matchWinner,
+    ph: phase,
+    sq: seq, // acknowledged by the client so the host can move its baseline
     t: Date.now()
   };
 
-  const sendStatic = !staticSentTo.has('_broadcast');
-
   for (const id in players) {
     const p = players[id];
-
-    // Only send new trail points since last broadcast (delta encoding)
-    const newCount = p.trailLen - p.trailSentCount;
+    const known = baseline[id];
+
+    // First point still in our ring buffer (trailTotal numbering)
+    const oldest = p.trailTotal - p.trailLen;
+    // Send from where the client is, or everything we still hold if it is on an
+    // older epoch or so far behind that its next point has already been overwritten
+    const from = known && known.e === p.trailEpoch ? Math.max(known.t, oldest) : oldest;
+    const newCount = p.trailTotal - from;
     let trailData = null;
-    
+
     if (newCount > 0) {
-      // Use pre-allocated buffer if it fits, otherwise fall back to new array
+      // Use pre-allocated buffer if it fits, otherwise fall back to a fresh typed array
       const dataLen = newCount * 2;
-      if (dataLen <= TRAIL_BUFFER_SIZE) {
-        // Fast path: reuse buffer, then slice (creates small typed array view)
-        for (let i = 0; i < newCount; i++) {
-          const trailIdx = p.trailSentCount + i;
-          const idx = (p.trailStart + trailIdx) % TRAIL_MAX;
-          trailSerializeBuffer[i * 2] = (p.trailX[idx] * 10 + 0.5) | 0;
-          trailSerializeBuffer[i * 2 + 1] = (p.trailY[idx] * 10 + 0.5) | 0;
-        }
-        // Create a regular array for JSON compatibility (typed arrays don't serialize well)
-        trailData = Array.from(trailSerializeBuffer.subarray(0, dataLen));
-      } else {
-        // Fallback for large updates (rare)
-        trailData = new Array(dataLen);
-        for (let i = 0; i < newCount; i++) {
-          const trailIdx = p.trailSentCount + i;
-          const idx = (p.trailStart + trailIdx) % TRAIL_MAX;
-          trailData[i * 2] = (p.trailX[idx] * 10 + 0.5) | 0;
-          trailData[i * 2 + 1] = (p.trailY[idx] * 10 + 0.5) | 0;
-        }
+      const buf = dataLen <= TRAIL_BUFFER_SIZE ? trailSerializeBuffer : new Int16Array(dataLen);
+      for (let i = 0; i < newCount; i++) {
+        const idx = (p.trailStart + from - oldest + i) % p.trailX.length;
+        buf[i * 2] = (p.trailX[idx] * 10 + 0.5) | 0;
+        buf[i * 2 + 1] = (p.trailY[idx] * 10 + 0.5) | 0;
       }
+      // Stays an Int16Array - protocol.js writes it straight into binary frames
+      // (and converts to a plain array only for the JSON protocol)
+      trailData = buf === trailSerializeBuffer ? buf.slice(0, dataLen) : buf;
     }
 
-    // Mark these points as sent
-    p.trailSentCount = p.trailLen;
-
     const pd = {
       x: (p.x * 10 + 0.5) | 0,   // 1 decimal precision, integer encoded
       y: (p.y * 10 + 0.5) | 0,
-      a: (p.angle * 1000 + 0.5) | 0,  // 3 decimal precision
+      a: (normalizeAngle(p.angle) * 1000 + 0.5) | 0,  // 3 decimal precision, 0..2π so it fits in 16 bits
       tu: p.turning,
       tl: p.trailLen,
-      ts: p.trailStart,
-      tc: p.trailSentCount,
+      te: p.trailEpoch,
+      ef: p.effects,
       al: p.alive,
       s: p.score,
       l: p.lives,
     };
 
-    // Only include trail data if there are new points
-    if (trailData) pd.tr = trailData;
+    // Only include trail data if there are new points, tagged with the
+    // trailTotal index of the first one
+    if (trailData) {
+      pd.tr = trailData;
+      pd.tb = from;
+    }
 
-    // Include static fields on first broadcast or if not yet sent
-    if (sendStatic) {
+    // Include static fields until the client has acknowledged them
+    if (!known) {
       pd.id = p.id;
       pd.n = p.name;
       pd.c = p.color;
@@ -386,73 +706,80 @@ export function serializeGameState(players, roundActive, countdown, roundStartTi
     state.p[id] = pd;
   }
 
-  if (sendStatic) staticSentTo.add('_broadcast');
-
   return state;
 }
 
-// Apply received game state (for clients) - handles compact format
-export function applyGameState(players, state) {
-  // Support both old format (state.players) and new compact format (state.p)
-  const statePlayers = state.p || state.players;
+// Apply received game state (for clients). `state` is the compact format from
+// serializeGameState, as decoded by protocol.js for either wire version.
+// New players get trail buffers sized for `rules`.
+export function applyGameState(players, state, rules = DEFAULT_RULES) {
+  const statePlayers = state.p;
   if (!statePlayers) return;
 
-  // Detect compact format by checking if state uses compact keys (state.p exists)
-  const isCompact = state.p !== undefined;
-
   for (const id in statePlayers) {
     const ps = statePlayers[id];
     let p = players[id];
 
     if (!p) {
-      p = createPlayer(id, ps.si !== undefined ? ps.si : ps.spawnIndex || 0, ps.n || ps.name || 'Player');
-      p.color = ps.c || ps.color || COLORS[0];
+      p = createPlayer(id, ps.si || 0, ps.n || 'Player', rules);
+      p.color = ps.c || COLORS[0];
       players[id] = p;
     }
 
-    // Apply delta trail data (handle both compact encoded and raw formats)
-    const trail = ps.tr || ps.trail;
+    // New epoch - the host cleared this trail (new round) or erased part of
+    // it; either way it sends whatever is left in full
+    if (ps.te !== undefined && ps.te !== p.trailEpoch) {
+      p.trailLen = 0;
+      p.trailStart = 0;
+      p.trailTotal = 0;
+      p.trailEpoch = ps.te;
+    }
+
+    // Apply delta trail data (integer encoded ×10). The host may resend points
+    // we already have (it only trusts acknowledged state), so skip up to our
+    // own trailTotal; if it starts past us we missed points it no longer
+    // holds, so start over from what it sent.
+    const trail = ps.tr;
     if (trail && trail.length > 0) {
       const newPoints = trail.length / 2;
-      for (let i = 0; i < newPoints; i++) {
-        const idx = (p.trailStart + p.trailLen) % TRAIL_MAX;
-        p.trailX[idx] = isCompact ? trail[i * 2] / 10 : trail[i * 2];
-        p.trailY[idx] = isCompact ? trail[i * 2 + 1] / 10 : trail[i * 2 + 1];
+      let first = 0;
+      if (ps.tb !== undefined) {
+        if (ps.tb > p.trailTotal) {
+          p.trailLen = 0;
+          p.trailStart = 0;
+          p.trailTotal = ps.tb;
+        }
+        first = p.trailTotal - ps.tb;
+      }
+      const max = p.trailX.length;
+      for (let i = first; i < newPoints; i++) {
+        const idx = (p.trailStart + p.trailLen) % max;
+        p.trailX[idx] = trail[i * 2] / 10;
+        p.trailY[idx] = trail[i * 2 + 1] / 10;
         p.trailLen++;
-        if (p.trailLen > TRAIL_MAX) {
-          p.trailStart = (p.trailStart + 1) % TRAIL_MAX;
-          p.trailLen = TRAIL_MAX;
+        p.trailTotal++;
+        if (p.trailLen > max) {
+          p.trailStart = (p.trailStart + 1) % max;
+          p.trailLen = max;
         }
       }
-      p.trailSentCount = ps.tc !== undefined ? ps.tc : (ps.trailSentCount || 0);
     }
 
-    // If round reset, sync trail state
-    const trailLen = ps.tl !== undefined ? ps.tl : ps.trailLen;
-    if (trailLen === 0) {
+    // Hosts without trail epochs signal a round reset with an empty trail
+    if (ps.te === undefined && ps.tl === 0) {
       p.trailLen = 0;
       p.trailStart = 0;
-      p.trailSentCount = 0;
+      p.trailTotal = 0;
     }
 
-    // Decode positions: compact format has integer-encoded values (×10 for xy, ×1000 for angle)
-    if (isCompact) {
-      if (ps.x !== undefined) p.x = ps.x / 10;
-      if (ps.y !== undefined) p.y = ps.y / 10;
-      if (ps.a !== undefined) p.angle = ps.a / 1000;
-      p.alive = ps.al !== undefined ? ps.al : p.alive;
-      p.score = ps.s !== undefined ? ps.s : p.score;
-      const lives = ps.l;
-      if (lives !== undefined) p.lives = lives;
-    } else {
-      // Old format: raw values
-      if (ps.x !== undefined) p.x = ps.x;
-      if (ps.y !== undefined) p.y = ps.y;
-      if (ps.angle !== undefined) p.angle = ps.angle;
-      if (ps.alive !== undefined) p.alive = ps.alive;
-      if (ps.score !== undefined) p.score = ps.score;
-      if (ps.lives !== undefined) p.lives = ps.lives;
-    }
+    // Decode positions: integer-encoded values (×10 for xy, ×1000 for angle)
+    if (ps.x !== undefined) p.x = ps.x / 10;
+    if (ps.y !== undefined) p.y = ps.y / 10;
+    if (ps.a !== undefined) p.angle = ps.a / 1000;
+    if (ps.al !== undefined) p.alive = ps.al;
+    if (ps.ef !== undefined) p.effects = ps.ef;
+    if (ps.s !== undefined) p.score = ps.s;
+    if (ps.l !== undefined) p.lives = ps.l;
 
     // Update static fields if provided
     if (ps.n) p.name = ps.n;
@@ -460,6 +787,11 @@ export function applyGameState(players, state) {
   }
 }
 
+// The pickups in a serialized state, shaped like GameSimulation.pickups
+export function readPickups(state) {
+  return (state.pu || []).map((pk) => ({ id: pk.i, kind: pk.k, x: pk.x, y: pk.y }));
+}
+
 // Get minimal player update (for input synchronization)
 export function getPlayerUpdate(p) {
   return {
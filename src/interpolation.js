@@ -0,0 +1,199 @@
+import { DEFAULT_RULES, getGameSpeed, EFFECT_BOOST, BOOST_FACTOR } from './game.js';
+import { TICK_MS } from './simulation.js';
+
+// Client-side smoothing between the host's 10Hz state updates.
+// Remote players are drawn slightly in the past, interpolated between the two
+// snapshots around the render time. The local player is predicted forward from
+// the last host state using our own turning inputs, and any error left when the
+// next host state arrives is blended out over a few frames.
+
+export const INTERP_DELAY = 150; // ms - 1.5x the network tick so a late packet doesn't starve us
+const MAX_SNAPSHOTS = 30;
+const SNAP_DISTANCE_SQ = 60 * 60; // bigger jumps are respawns - don't slide across the arena
+const MAX_PREDICT_MS = 250;       // stop predicting if host updates dry up
+const CORRECTION_HALF_LIFE = 60;  // ms for a prediction error to shrink by half
+const MAX_CORRECTION_SQ = 40 * 40; // errors larger than this snap instead of blending
+
+function lerpAngle(a, b, f) {
+  let d = b - a;
+  while (d > Math.PI) d -= Math.PI * 2;
+  while (d < -Math.PI) d += Math.PI * 2;
+  return a + d * f;
+}
+
+export class SnapshotBuffer {
+  constructor(delay = INTERP_DELAY) {
+    this.delay = delay;
+    this.snapshots = []; // { time, entries: { id -> { x, y, angle, trailTotal } } }
+  }
+
+  // Record the players' authoritative poses as received at `time` (performance.now())
+  push(players, time) {
+    const entries = {};
+    for (const id in players) {
+      const p = players[id];
+      entries[id] = { x: p.x, y: p.y, angle: p.angle, trailTotal: p.trailTotal };
+    }
+    this.snapshots.push({ time, entries });
+    if (this.snapshots.length > MAX_SNAPSHOTS) this.snapshots.shift();
+  }
+
+  clear() {
+    this.snapshots.length = 0;
+  }
+
+  // Interpolated pose of `id` at `now - delay`, written into `out`.
+  // Returns false when there is nothing buffered for that player.
+  sample(id, now, out) {
+    const snaps = this.snapshots;
+    const t = now - this.delay;
+
+    let older = null;
+    let newer = null;
+    for (let i = snaps.length - 1; i >= 0; i--) {
+      const e = snaps[i].entries[id];
+      if (!e) continue;
+      if (snaps[i].time <= t) {
+        older = snaps[i];
+        break;
+      }
+      newer = snaps[i];
+    }
+
+    if (!older && !newer) return false;
+
+    // Render time is outside the buffer - hold the nearest pose
+    if (!older || !newer) {
+      const e = (older || newer).entries[id];
+      out.x = e.x;
+      out.y = e.y;
+      out.angle = e.angle;
+      out.trailTotal = e.trailTotal;
+      return true;
+    }
+
+    const a = older.entries[id];
+    const b = newer.entries[id];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+
+    // New round or trail reset - jump instead of sliding
+    if (dx * dx + dy * dy > SNAP_DISTANCE_SQ || b.trailTotal < a.trailTotal) {
+      out.x = b.x;
+      out.y = b.y;
+      out.angle = b.angle;
+      out.trailTotal = b.trailTotal;
+      return true;
+    }
+
+    const f = (t - older.time) / (newer.time - older.time);
+    out.x = a.x + dx * f;
+    out.y = a.y + dy * f;
+    out.angle = lerpAngle(a.angle, b.angle, f);
+    out.trailTotal = (a.trailTotal + (b.trailTotal - a.trailTotal) * f) | 0;
+    return true;
+  }
+}
+
+export class LocalPredictor {
+  constructor() {
+    this.base = null;    // last host pose: { x, y, angle, boost, time }
+    this.inputs = [];    // { time, turning } - our own turning changes
+    this.errX = 0;
+    this.errY = 0;
+    this.errAngle = 0;
+    this.errTime = 0;
+    this.scratch = { x: 0, y: 0, angle: 0 };
+    this.rules = DEFAULT_RULES; // the match's, for speed and turn rate
+  }
+
+  reset() {
+    this.base = null;
+    this.inputs.length = 0;
+    this.errX = this.errY = this.errAngle = 0;
+  }
+
+  recordInput(turning, time) {
+    this.inputs.push({ time, turning });
+  }
+
+  // Turning in effect at `time`, from our own input history
+  turningAt(time) {
+    let turning = 0;
+    for (let i = 0; i < this.inputs.length; i++) {
+      if (this.inputs[i].time > time) break;
+      turning = this.inputs[i].turning;
+    }
+    return turning;
+  }
+
+  // New authoritative pose for the local player arrived at `time`
+  reconcile(p, time, roundStartTime) {
+    const had = this.base !== null;
+    if (had) this.predict(time, roundStartTime, this.scratch);
+    const beforeX = this.scratch.x;
+    const beforeY = this.scratch.y;
+    const beforeAngle = this.scratch.angle;
+
+    this.base = { x: p.x, y: p.y, angle: p.angle, boost: (p.effects & EFFECT_BOOST) !== 0, time };
+
+    // Drop inputs superseded by this state, keeping the one still in effect
+    let keepFrom = 0;
+    for (let i = 0; i < this.inputs.length; i++) {
+      if (this.inputs[i].time <= time) keepFrom = i;
+    }
+    if (keepFrom > 0) this.inputs.splice(0, keepFrom);
+
+    if (!had) return;
+
+    // Carry the visible difference forward and let it decay, so the head
+    // never pops when the host disagrees with our prediction
+    const ex = beforeX - p.x;
+    const ey = beforeY - p.y;
+    if (ex * ex + ey * ey > MAX_CORRECTION_SQ) {
+      this.errX = this.errY = this.errAngle = 0;
+    } else {
+      this.errX = ex;
+      this.errY = ey;
+      this.errAngle = lerpAngle(0, beforeAngle - p.angle, 1);
+      this.errTime = time;
+    }
+  }
+
+  // Integrate from the last host pose to `now` in fixed physics ticks
+  predict(now, roundStartTime, out) {
+    const base = this.base;
+    out.x = base.x;
+    out.y = base.y;
+    out.angle = base.angle;
+
+    const horizon = Math.min(now - base.time, MAX_PREDICT_MS);
+    if (horizon <= 0) return out;
+
+    const speed = getGameSpeed(roundStartTime, this.rules) * (base.boost ? BOOST_FACTOR : 1);
+    const steps = (horizon / TICK_MS) | 0;
+    for (let i = 1; i <= steps; i++) {
+      out.angle += this.turningAt(base.time + i * TICK_MS) * this.rules.turnSpeed;
+      out.x += Math.cos(out.angle) * speed;
+      out.y += Math.sin(out.angle) * speed;
+    }
+    if (this.rules.wrap) {
+      // Across the edge of a wrap-around arena, like the host will
+      out.x -= Math.floor(out.x / this.rules.arenaWidth) * this.rules.arenaWidth;
+      out.y -= Math.floor(out.y / this.rules.arenaHeight) * this.rules.arenaHeight;
+    }
+    return out;
+  }
+
+  // Predicted pose plus the decaying correction, written into `out`
+  sample(now, roundStartTime, out) {
+    if (!this.base) return false;
+    this.predict(now, roundStartTime, out);
+
+    const decay = Math.pow(0.5, (now - this.errTime) / CORRECTION_HALF_LIFE);
+    out.x += this.errX * decay;
+    out.y += this.errY * decay;
+    out.angle += this.errAngle * decay;
+    return true;
+  }
+}
@@ -0,0 +1,134 @@
+import { RULE_LIMITS } from './rules.js';
+import { MAX_PLAYERS } from './game.js';
+
+// Arena maps.
+// A map is plain JSON the host picks in the lobby (or loads from a file) and
+// sends to everyone. No map (null) is the classic empty arena.
+//
+//   {
+//     name:    'Pillars',
+//     width:   1400, height: 900,              // arena size - overrides the rules'
+//     walls:   [[[x, y], [x, y], ...], ...],   // solid polygons (3+ points, either winding)
+//     portals: [{ a: [x, y], b: [x, y] }, ...], // ride into either end, come out of the other
+//     spawns:  [{ x, y, angle }, ...]          // optional, one per player; angle in radians, used in player order
+//   }
+//
+// Walls kill like the arena's edge (phase and shield don't help). The spatial
+// grid (game.js) keeps the cells they cover so the per-tick checks stay cheap.
+
+const MAX_WALLS = 32;
+const MAX_WALL_POINTS = 32;
+const MAX_PORTALS = 4;
+const MAX_NAME_LENGTH = 24;
+
+const square = (x, y, size) => [[x - size, y - size], [x + size, y - size], [x + size, y + size], [x - size, y + size]];
+const bar = (x1, y1, x2, y2) => [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+
+export const BUILTIN_MAPS = {
+  'Open Arena': null,
+  Pillars: {
+    name: 'Pillars',
+    width: 1400,
+    height: 900,
+    walls: [square(450, 300, 40), square(950, 300, 40), square(450, 600, 40), square(950, 600, 40)],
+    portals: [],
+    spawns: [
+      { x: 150, y: 450, angle: 0 }, { x: 1250, y: 450, angle: Math.PI },
+      { x: 700, y: 120, angle: Math.PI / 2 }, { x: 700, y: 780, angle: Math.PI * 1.5 },
+      { x: 150, y: 150, angle: 0 }, { x: 1250, y: 750, angle: Math.PI },
+      { x: 1250, y: 150, angle: Math.PI }, { x: 150, y: 750, angle: 0 }
+    ]
+  },
+  Crossroads: {
+    name: 'Crossroads',
+    width: 1400,
+    height: 900,
+    walls: [bar(500, 440, 650, 460), bar(750, 440, 900, 460), bar(690, 200, 710, 380), bar(690, 520, 710, 700)],
+    portals: [],
+    spawns: [
+      { x: 150, y: 150, angle: 0 }, { x: 1250, y: 750, angle: Math.PI },
+      { x: 1250, y: 150, angle: Math.PI }, { x: 150, y: 750, angle: 0 },
+      { x: 350, y: 100, angle: Math.PI / 2 }, { x: 1050, y: 800, angle: Math.PI * 1.5 },
+      { x: 1050, y: 100, angle: Math.PI / 2 }, { x: 350, y: 800, angle: Math.PI * 1.5 }
+    ]
+  },
+  Wormholes: {
+    name: 'Wormholes',
+    width: 1400,
+    height: 900,
+    walls: [bar(460, 150, 480, 750), bar(920, 150, 940, 750)],
+    portals: [{ a: [240, 450], b: [1160, 450] }, { a: [700, 150], b: [700, 750] }],
+    spawns: [
+      { x: 150, y: 80, angle: 0 }, { x: 1250, y: 820, angle: Math.PI },
+      { x: 1250, y: 80, angle: Math.PI }, { x: 150, y: 820, angle: 0 },
+      { x: 240, y: 250, angle: Math.PI / 2 }, { x: 1160, y: 650, angle: Math.PI * 1.5 },
+      { x: 600, y: 450, angle: Math.PI / 2 }, { x: 800, y: 450, angle: Math.PI * 1.5 }
+    ]
+  }
+};
+
+// Check a map (parsed JSON, or the text of a map file) and return a clean
+// copy holding only the fields above. Throws on anything we can't play.
+export function parseMap(input) {
+  let map;
+  try {
+    map = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (e) {
+    throw new Error('Not a map file');
+  }
+  if (map === null) return null;
+  if (typeof map !== 'object') throw new Error('Not a map file');
+
+  const { arenaWidth, arenaHeight } = RULE_LIMITS;
+  const width = map.width;
+  const height = map.height;
+  if (!Number.isInteger(width) || width < arenaWidth.min || width > arenaWidth.max ||
+      !Number.isInteger(height) || height < arenaHeight.min || height > arenaHeight.max) {
+    throw new Error('Map size out of range');
+  }
+
+  const isPoint = (pt) => Array.isArray(pt) && pt.length === 2 &&
+    Number.isFinite(pt[0]) && Number.isFinite(pt[1]) && pt[0] >= 0 && pt[0] <= width && pt[1] >= 0 && pt[1] <= height;
+  const point = (pt) => [pt[0], pt[1]];
+
+  const walls = map.walls || [];
+  if (!Array.isArray(walls) || walls.length > MAX_WALLS) throw new Error('Too many walls');
+  for (const wall of walls) {
+    if (!Array.isArray(wall) || wall.length < 3 || wall.length > MAX_WALL_POINTS || !wall.every(isPoint)) {
+      throw new Error('Bad wall');
+    }
+  }
+
+  const portals = map.portals || [];
+  if (!Array.isArray(portals) || portals.length > MAX_PORTALS) throw new Error('Too many portals');
+  for (const portal of portals) {
+    if (!portal || !isPoint(portal.a) || !isPoint(portal.b)) throw new Error('Bad portal');
+  }
+
+  const spawns = map.spawns || [];
+  if (!Array.isArray(spawns) || spawns.length > MAX_PLAYERS) throw new Error('Too many spawns');
+  // Fewer would start two bikes on the same point, heading the same way
+  if (spawns.length > 0 && spawns.length < MAX_PLAYERS) throw new Error('A map needs ' + MAX_PLAYERS + ' spawns (or none)');
+  for (const spawn of spawns) {
+    if (!spawn || !isPoint([spawn.x, spawn.y]) || !Number.isFinite(spawn.angle)) throw new Error('Bad spawn');
+  }
+
+  return {
+    name: typeof map.name === 'string' && map.name.trim() ? map.name.trim().slice(0, MAX_NAME_LENGTH) : 'Custom',
+    width,
+    height,
+    walls: walls.map((wall) => wall.map(point)),
+    portals: portals.map((portal) => ({ a: point(portal.a), b: point(portal.b) })),
+    spawns: spawns.map((spawn) => ({ x: spawn.x, y: spawn.y, angle: spawn.angle }))
+  };
+}
+
+// `rules` with the arena sized to `map` (unchanged without one)
+export function fitRulesToMap(rules, map) {
+  if (!map) return rules;
+  return Object.assign({}, rules, { arenaWidth: map.width, arenaHeight: map.height });
+}
+
+export function sameMap(a, b) {
+  return a === b || (a !== null && b !== null && JSON.stringify(a) === JSON.stringify(b));
+}
@@ -0,0 +1,88 @@
+// Link diagnostics for the network overlay.
+// Network keeps one LinkStats per connection: it times heartbeat pings against
+// their pongs and notes when the last state went out (host) or came in
+// (client). Message and byte totals are counted by the transport (each
+// connection's `traffic`); rates are worked out from them once per heartbeat,
+// so the overlay can read them as often as it likes.
+
+const PING_TIMEOUT = 3000;  // ms - a ping unanswered this long counts as lost
+const LOSS_WINDOW = 20;     // loss is measured over this many pings
+const RTT_GAIN = 1 / 8;     // smoothing for RTT (as TCP's SRTT)
+const JITTER_GAIN = 1 / 4;  // smoothing for the spread between successive RTTs
+const MAX_RTT = 60000;      // pongs claiming more than this are bogus
+
+export class LinkStats {
+  constructor(now = Date.now()) {
+    this.rtt = null;        // ms, smoothed
+    this.lastRtt = null;
+    this.jitter = 0;        // ms
+    this.pings = new Map(); // timestamp -> true while unanswered
+    this.outcomes = [];     // last LOSS_WINDOW pings: true = answered
+    this.stateAt = null;    // last state sent (host) or received (client)
+    this.buffered = 0;
+    this.rates = { msgsIn: 0, msgsOut: 0, bytesIn: 0, bytesOut: 0 }; // per second
+    this.sampledAt = now;
+    this.sampled = { msgsIn: 0, msgsOut: 0, bytesIn: 0, bytesOut: 0 };
+  }
+
+  pingSent(t) {
+    this.pings.set(t, true);
+  }
+
+  // A pong echoing our ping's timestamp. Late or unknown pongs are ignored.
+  pongReceived(t, now = Date.now()) {
+    if (!this.pings.delete(t)) return;
+    const rtt = now - t;
+    if (rtt < 0 || rtt > MAX_RTT) return;
+    this.record(true);
+    if (this.lastRtt !== null) this.jitter += (Math.abs(rtt - this.lastRtt) - this.jitter) * JITTER_GAIN;
+    this.lastRtt = rtt;
+    this.rtt = this.rtt === null ? rtt : this.rtt + (rtt - this.rtt) * RTT_GAIN;
+  }
+
+  record(answered) {
+    this.outcomes.push(answered);
+    if (this.outcomes.length > LOSS_WINDOW) this.outcomes.shift();
+  }
+
+  // Once per heartbeat: expire old pings and work out the rates from the
+  // connection's running totals
+  sample(now, conn) {
+    for (const t of this.pings.keys()) {
+      if (now - t > PING_TIMEOUT) {
+        this.pings.delete(t);
+        this.record(false);
+      }
+    }
+    const elapsed = (now - this.sampledAt) / 1000;
+    if (elapsed > 0) {
+      const traffic = conn.traffic || this.sampled;
+      for (const key in this.rates) {
+        this.rates[key] = (traffic[key] - this.sampled[key]) / elapsed;
+        this.sampled[key] = traffic[key];
+      }
+      this.sampledAt = now;
+    }
+    this.buffered = conn.bufferedAmount || 0;
+  }
+
+  // Share of recent pings that went unanswered, 0-1 (null before any)
+  get loss() {
+    if (this.outcomes.length === 0) return null;
+    return this.outcomes.filter((answered) => !answered).length / this.outcomes.length;
+  }
+
+  snapshot(now = Date.now()) {
+    return {
+      rtt: this.rtt === null ? null : Math.round(this.rtt),
+      jitter: Math.round(this.jitter),
+      loss: this.loss,
+      sinceState: this.stateAt === null ? null : now - this.stateAt,
+      msgsIn: Math.round(this.rates.msgsIn),
+      msgsOut: Math.round(this.rates.msgsOut),
+      bytesIn: Math.round(this.rates.bytesIn),
+      bytesOut: Math.round(this.rates.bytesOut),
+      buffered: this.buffered
+    };
+  }
+}
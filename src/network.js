@@ -1,57 +1,326 @@
-import Peer from 'peerjs';
-import { serializeGameState, applyGameState, applyPlayerUpdate, getPlayerUpdate, startRound, movePlayer, checkCollisions, getGameSpeed, createPlayer, MAX_LIVES, rebuildSpatialGrid, resetStaticSent } from './game.js';
+import { createTransport } from './transport.js';
+import {
+  serializeGameState, captureBaseline, applyGameState, readPickups, createPlayer, resizeTrail, MAX_PLAYERS, DEFAULT_RULES
+} from './game.js';
+import { normalizeRules, sameRules, describeRules } from './rules.js';
+import { parseMap, sameMap } from './maps.js';
+import { countSides } from './teams.js';
+import { sanitizeChat, isEmote, ChatLimiter } from './chat.js';
+import { GameSimulation, TICK_MS } from './simulation.js';
+import { ReplayRecorder } from './replay.js';
+import { LISTING_REFRESH } from './directory.js';
+import { LinkStats } from './netstats.js';
+import { Bot, BOT_LEVELS } from './bots.js';
+import { validateClientMessage, sanitizeName, PeerGuard, PRE_JOIN_MESSAGES, SPECTATOR_MESSAGES } from './validation.js';
+import { SUPPORTED_PROTOCOLS, PROTOCOL_JSON, negotiateProtocol, createCodecContext, encodeMessage, decodeMessage } from './protocol.js';
 
 // Physics runs at fixed 60Hz, network broadcasts at 10fps (100ms) like slither.io
-const PHYSICS_INTERVAL = 1000 / 60; // ~16.67ms
+const PHYSICS_INTERVAL = TICK_MS; // ~16.67ms
+const MAX_CATCHUP_TICKS = 5; // cap on ticks run per timer callback after a stall
 const NETWORK_TICK_INTERVAL = 100;  // 10fps network updates (slither.io style)
 const HEARTBEAT_INTERVAL = 1000;
 const STALE_CONNECTION_MS = 6000;
 const MAX_BUFFERED_AMOUNT = 64 * 1024; // 64KB backpressure threshold
+const REJOIN_GRACE_MS = 20000;          // a dropped player's slot is held this long
+const REJOIN_RETRY_DELAY = 1000;
+const CONNECT_TIMEOUT = 4000;           // give up on a connection attempt after this long
+const MIGRATION_WAIT = 5000;            // new host waits this long for peers to come back
+const ROOM_CODE_CLAIM_RETRY = 2000;     // new host retries taking over the room code this often
+const ROOM_CODE_CLAIM_ATTEMPTS = 15;
+const MAX_UNACKED_STATES = 30;          // ~3s of states without an ack - resend everything
+const KICK_CLOSE_DELAY = 250;           // let the `kicked` message go out before closing
+const JOIN_TIMEOUT = 10000;             // give up on a join the room never answers
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to mix up
+const ROOM_CODE_ATTEMPTS = 5;           // fresh codes to try when the one we drew is taken
+
+// Room codes as typed: case, spaces and dashes don't matter
+export function normalizeRoomCode(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
 
-const PEER_OPTIONS = {
-  debug: 1,
-  pingInterval: HEARTBEAT_INTERVAL,
-  config: {
-    iceServers: [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-      { urls: 'stun:stun2.l.google.com:19302' }
-    ]
-  }
-};
+export function isRoomCode(code) {
+  return code.length === ROOM_CODE_LENGTH && Array.from(code).every((c) => ROOM_CODE_CHARS.includes(c));
+}
+
+// Joins fail with a `type` like transport errors do: the transport's own
+// ('peer-unavailable', 'network', ...) or 'timeout', 'room-full',
+// 'wrong-password' and 'banned'
+function joinError(type, message) {
+  const err = new Error(message);
+  err.type = type;
+  return err;
+}
 
 class Network {
-  constructor() {
-    this.peer = null;
+  // options.transport: 'peer' (default), 'websocket' or 'loopback'
+  // options.transportOptions: passed through to the transport constructor
+  // options.directory: a RoomDirectory to list public rooms we host in
+  constructor(options = {}) {
+    this.transportKind = options.transport || 'peer';
+    this.transportOptions = options.transportOptions;
+    this.directory = options.directory || null;
+    this.listedAs = null;     // host: the listing last sent to the directory (JSON)
+    this.listedAt = 0;
+    this.transport = null;
+    this.roomTransport = null; // after host migration: second transport holding the room code
     this.connections = new Map(); // peerId -> connection
-    this.hostId = null;
+    this.hostId = null;       // peer we send to (the room code until a migration)
+    this.hostPlayerId = null; // the host's own player id
     this.isHost = false;
     this.myId = null;
     this.players = {};
+    this.spectators = {}; // id -> { id, name } - watching, not in this.players (id is the peer id)
+    this.spectating = false; // client: we joined (or switched) as a spectator
+    this.sim = null; // GameSimulation - host only, owns this.players
     this.roomCode = null;
+    this.roomPassword = null; // host: needed to join; client: what we join with (null once we know the room is open)
+    this.pendingJoin = null;  // client: { resolve, reject, timer } until our first `init` or a refusal
+    this.playerName = null;
+    this.nextJoinOrder = 0; // host: join order decides who takes over if the host leaves
+    this.migration = null;  // new host: { expected: Set<peerId>, timer } while peers reconnect
+    this.rejoinTokens = new Map(); // host: playerId (or spectator's peer id) -> token handed out in `init`
+    this.graceTimers = new Map();  // host: playerId -> timer that drops a disconnected player
+    this.peerPlayers = new Map();  // host: peerId -> playerId (differs after a rejoin)
+    this.rejoinToken = null;       // client: our token for getting our player back
+    this.joined = false;           // client: received our first `init`
+    this.protocols = new Map();    // host: peerId -> wire protocol version agreed in `join`
+    this.guards = new Map();       // host: peerId -> PeerGuard (rate limit and strikes)
+    this.chatLimits = new Map();   // host: peerId -> ChatLimiter
+    this.chatLimit = new ChatLimiter(); // our own chat budget, the same one the host enforces
+    this.kicked = new Set();       // host: peers being dropped - ignore anything else they send
+    this.banned = new Set();       // host: player ids, peer ids and rejoin tokens banned from the room
+    this.joinedConnections = new WeakSet(); // host: connections whose `join` was accepted
+    this.superseded = new Map();   // host: peerId -> older connection the peer reconnected over
+    this.baselines = new Map();    // host: peerId -> { acked, pending: Map<seq, baseline>, acks }
+    this.stateSeq = 0;             // host: sequence number of the last state serialized
+    this.recorder = null;          // host: ReplayRecorder for the match in progress
+    this.bots = new Map();         // host: playerId -> Bot steering that player
+    this.nextBotNumber = 1;
+    this.lastReplay = null;        // host: the last finished match's replay
+    this.protocol = PROTOCOL_JSON; // client: version the host picked in `init`
+    this.codec = createCodecContext(); // client: slot -> player id for binary state frames
+    this.phase = 'lobby';
     this.roundActive = false;
     this.countdown = 0;
     this.roundStartTime = null;
     this.matchWinner = null;
+    this.pickups = [];
+    this.rules = DEFAULT_RULES; // match rules (host: the simulation's)
+    this.map = null;            // arena map, null for the open arena (see maps.js)
+    this.eventSeq = 0;          // last game event sent (host) or seen (client)
     this.gameStarted = false;
-    this.tickCounter = 0;
-    this.callbacks = {};
+    this.callbacks = {};        // event -> listeners, in subscription order
     this.physicsInterval = null; // Fixed-timestep physics timer
+    this.loopStartedAt = 0;
+    this.loopTicks = 0;
     this.networkInterval = null; // Decoupled network tick (100ms)
     this.heartbeatInterval = null;
     this.lastSeenAt = new Map(); // peerId -> timestamp
+    this.links = new Map();      // peerId -> LinkStats for the diagnostics overlay
+    this.detailedStats = false;  // overlay open - see setDetailedStats
     this.lastRecoveryRequestAt = 0;
-    this.pendingStateUpdate = false; // Flag for network tick to know if state changed
   }
 
+  // Any number of features can listen to the same event
   on(event, callback) {
-    this.callbacks[event] = callback;
+    (this.callbacks[event] || (this.callbacks[event] = [])).push(callback);
+    return this;
+  }
+
+  off(event, callback) {
+    const list = this.callbacks[event];
+    if (!list) return this;
+    const i = list.indexOf(callback);
+    if (i !== -1) list.splice(i, 1);
+    return this;
   }
 
   emit(event, data) {
-    if (this.callbacks[event]) {
-      this.callbacks[event](data);
+    const list = this.callbacks[event];
+    if (!list) return;
+    for (const cb of list.slice()) cb(data);
+  }
+
+  createTransport() {
+    const transport = createTransport(this.transportKind, this.transportOptions);
+    transport.measureObjects = this.detailedStats;
+    return transport;
+  }
+
+  serializeState(baseline, seq) {
+    return serializeGameState(this.players, this.roundActive, this.countdown, this.roundStartTime, this.matchWinner, this.phase, baseline, seq, this.pickups);
+  }
+
+  // ─── Delta baselines ──────────────────────────────────────
+  // Every connection gets its own baseline: what the client has acknowledged
+  // holding. States are deltas from it, so a state skipped for backpressure
+  // (or lost with a connection) is simply covered by the next one. A client
+  // that stops acknowledging is sent everything again.
+
+  // `acks`: whether the client acknowledges states (clients that predate
+  // acks are on a reliable channel, so what we send is what they have)
+  resetBaseline(peerId, acks) {
+    const record = this.baselines.get(peerId);
+    this.baselines.set(peerId, {
+      acked: {},
+      pending: new Map(),
+      acks: acks !== undefined ? acks : !!(record && record.acks)
+    });
+  }
+
+  // State for one connection, recorded as pending until the client acks `seq`.
+  // `sent` is captureBaseline() taken alongside this serialization.
+  serializeStateFor(peerId, seq, sent) {
+    const record = this.baselines.get(peerId);
+    const state = this.serializeState(record.acked, seq);
+
+    if (!record.acks) {
+      record.acked = sent;
+    } else if (record.pending.size >= MAX_UNACKED_STATES) {
+      // Too far behind to trust the old baseline - start over from nothing
+      this.resetBaseline(peerId);
+    } else {
+      record.pending.set(seq, sent);
+    }
+    return state;
+  }
+
+  // Send a state that does not wait for the next network tick
+  sendStateTo(conn) {
+    if (!this.baselines.has(conn.peer)) return;
+    const seq = ++this.stateSeq;
+    this.sendTo(conn, {
+      type: 'state',
+      state: this.serializeStateFor(conn.peer, seq, captureBaseline(this.players))
+    });
+  }
+
+  handleAck(peerId, seq) {
+    const record = this.baselines.get(peerId);
+    const baseline = record && record.pending.get(seq);
+    if (!baseline) return;
+
+    record.acked = baseline;
+    for (const pendingSeq of record.pending.keys()) {
+      if (pendingSeq <= seq) record.pending.delete(pendingSeq);
+    }
+  }
+
+  // A player left for good - if the id comes back it is a new player and
+  // clients need its name and slot again
+  forgetBaselinePlayer(playerId) {
+    for (const record of this.baselines.values()) {
+      delete record.acked[playerId];
+      for (const baseline of record.pending.values()) delete baseline[playerId];
+    }
+  }
+
+  sendAck(seq) {
+    const conn = this.connections.get(this.hostId);
+    if (conn && conn.open) {
+      this.sendTo(conn, { type: 'ack', sq: seq });
+    }
+  }
+
+  // Encode `msg` in the wire version this connection speaks and send it.
+  // `frames` (optional) caches one encoding per version across a broadcast.
+  sendTo(conn, msg, frames) {
+    const version = this.isHost ? (this.protocols.get(conn.peer) || PROTOCOL_JSON) : this.protocol;
+    let frame = frames && frames[version];
+    if (frame === undefined) {
+      frame = encodeMessage(msg, version, this.players);
+      if (frames) frames[version] = frame;
+    }
+    conn.send(frame);
+    if (msg.type === 'state' && this.links.has(conn.peer)) this.links.get(conn.peer).stateAt = Date.now();
+  }
+
+  // Decode an incoming payload; malformed frames are logged and dropped.
+  // The host also rate-limits and validates everything a client sends.
+  receive(conn, data) {
+    if (this.isHost) {
+      if (this.kicked.has(conn.peer)) return;
+      if (!this.guardFor(conn).take()) {
+        this.penalize(conn, 'flooding');
+        return;
+      }
+    }
+
+    let msg;
+    try {
+      msg = decodeMessage(data, this.codec);
+    } catch (err) {
+      if (this.isHost) {
+        this.penalize(conn, 'malformed frame: ' + err.message);
+      } else {
+        console.warn('Dropping malformed message from', conn.peer, err);
+      }
+      return;
+    }
+
+    if (this.isHost) {
+      const problem = validateClientMessage(msg) || this.checkSender(conn.peer, msg.type);
+      if (problem) {
+        this.penalize(conn, problem);
+        return;
+      }
+    }
+
+    this.markPeerSeen(conn.peer);
+    this.handleMessage(conn, msg);
+  }
+
+  // Host: may this peer send `type` in its current role?
+  checkSender(peerId, type) {
+    if (PRE_JOIN_MESSAGES.has(type) || this.peerPlayers.has(peerId)) return null;
+    if (this.spectators[peerId]) return SPECTATOR_MESSAGES.has(type) ? null : type + ' from spectator';
+    return type + ' before join';
+  }
+
+  guardFor(conn) {
+    let guard = this.guards.get(conn.peer);
+    if (!guard) {
+      guard = new PeerGuard();
+      this.guards.set(conn.peer, guard);
     }
+    return guard;
+  }
+
+  // Host: drop a bad message and count it against the peer
+  penalize(conn, reason) {
+    console.warn('Rejected message from', conn.peer + ':', reason);
+    if (this.guardFor(conn).strike()) this.kickPeer(conn, reason);
+  }
+
+  // Host: remove an abusive (or kicked) peer for good - its slot and rejoin token go too
+  kickPeer(conn, reason) {
+    if (this.kicked.has(conn.peer)) return;
+    console.warn('Dropping peer', conn.peer + ':', reason);
+    this.kicked.add(conn.peer);
+
+    const playerId = this.peerPlayers.get(conn.peer);
+    this.peerPlayers.delete(conn.peer);
+    if (playerId) this.dropPlayer(playerId);
+
+    this.sendAndClose(conn, { type: 'kicked', reason, banned: this.banned.has(conn.peer) || undefined });
+  }
+
+  // Host: send a last message and hang up once it has had time to go out
+  sendAndClose(conn, msg) {
+    this.kicked.add(conn.peer);
+    if (conn.open) conn.send(msg);
+    setTimeout(() => {
+      conn.close();
+      this.kicked.delete(conn.peer);
+    }, KICK_CLOSE_DELAY);
+  }
+
+  requestSnapshot() {
+    const conn = this.connections.get(this.hostId);
+    if (!conn || !conn.open) return;
+    conn.send({ type: 'snapshotRequest' });
+    this.lastRecoveryRequestAt = Date.now();
   }
 
   markPeerSeen(peerId) {
@@ -59,6 +328,54 @@ class Network {
     this.lastSeenAt.set(peerId, Date.now());
   }
 
+  // ─── Link diagnostics ─────────────────────────────────────
+  // Every connection gets a LinkStats (netstats.js); the transport counts
+  // the traffic. Heartbeat pings carry our clock, so the echoed pong gives
+  // the round trip.
+
+  trackLink(conn) {
+    this.links.set(conn.peer, new LinkStats());
+  }
+
+  // While the overlay is open, transports also size messages they serialize
+  // themselves (JSON-protocol peers) - too costly to do all the time
+  setDetailedStats(on) {
+    this.detailedStats = on;
+    if (this.transport) this.transport.measureObjects = on;
+    if (this.roomTransport) this.roomTransport.measureObjects = on;
+  }
+
+  sendPing(peerId, conn, now) {
+    conn.send({ type: 'ping', t: now });
+    const link = this.links.get(peerId);
+    if (!link) return;
+    link.pingSent(now);
+    link.sample(now, conn);
+  }
+
+  // Host: one row per connected client and spectator. Client: our link to the host.
+  getNetStats(now = Date.now()) {
+    const rows = [];
+    for (const [peerId, link] of this.links) {
+      rows.push(Object.assign(link.snapshot(now), {
+        peer: peerId,
+        name: this.linkName(peerId),
+        spectator: this.isHost && !!this.spectators[peerId]
+      }));
+    }
+    return rows;
+  }
+
+  linkName(peerId) {
+    if (!this.isHost) {
+      const host = this.players[this.hostPlayerId];
+      return host ? host.name : 'HOST';
+    }
+    if (this.spectators[peerId]) return this.spectators[peerId].name;
+    const player = this.players[this.peerPlayers.get(peerId)];
+    return player ? player.name : 'JOINING';
+  }
+
   startHeartbeat() {
     this.stopHeartbeat();
     this.heartbeatInterval = setInterval(() => {
@@ -80,139 +397,535 @@ class Network {
       for (const [peerId, conn] of this.connections) {
         if (!conn.open) continue;
 
-        conn.send({ type: 'ping', t: now });
+        this.sendPing(peerId, conn, now);
 
         const lastSeen = this.lastSeenAt.get(peerId) || now;
-        if (now - lastSeen > STALE_CONNECTION_MS) {
-          resetStaticSent();
-          conn.send({
-            type: 'state',
-            state: serializeGameState(this.players, this.roundActive, this.countdown, this.roundStartTime, this.matchWinner)
-          });
+        if (now - lastSeen > STALE_CONNECTION_MS && this.baselines.has(peerId)) {
+          this.resetBaseline(peerId);
+          this.sendStateTo(conn);
           this.lastSeenAt.set(peerId, now);
         }
       }
+      this.updateListing(now);
       return;
     }
 
     const conn = this.connections.get(this.hostId);
     if (!conn || !conn.open) return;
 
-    conn.send({ type: 'ping', t: now });
+    this.sendPing(this.hostId, conn, now);
 
     const lastSeen = this.lastSeenAt.get(this.hostId) || now;
     if (now - lastSeen > STALE_CONNECTION_MS && now - this.lastRecoveryRequestAt > STALE_CONNECTION_MS) {
-      conn.send({ type: 'snapshotRequest' });
-      this.lastRecoveryRequestAt = now;
+      this.requestSnapshot();
     }
   }
 
-  // Create a new room (host)
-  async createRoom(playerName) {
+  // Create a new room (host). A `password` makes it private.
+  async createRoom(playerName, password) {
     this.isHost = true;
-    this.roomCode = this.generateRoomCode();
-
-    // Connect to signaling server and get our peer ID
-    this.peer = new Peer(this.roomCode, PEER_OPTIONS);
-
-    return new Promise((resolve, reject) => {
-      this.peer.on('open', (id) => {
-        console.log('Host created with room code:', id);
-        this.myId = id;
-        this.hostId = id;
-        this.players[this.myId] = createPlayer(this.myId, 0, playerName);
-        this.startHeartbeat();
-        this.emit('roomCreated', { code: id });
-        resolve(id);
-      });
-
-      this.peer.on('error', (err) => {
-        console.error('Peer error:', err);
-        reject(err);
+    this.playerName = sanitizeName(playerName);
+    this.roomPassword = password || null;
+
+    // Register with the signaling layer using the room code as our ID,
+    // drawing another code if somebody already has this one
+    let id = null;
+    for (let attempt = 1; id === null; attempt++) {
+      this.roomCode = this.generateRoomCode();
+      this.transport = this.createTransport();
+      this.transport.on('error', (err) => {
+        console.error('Transport error:', err);
       });
+      try {
+        id = await this.transport.open(this.roomCode);
+      } catch (err) {
+        this.transport.destroy();
+        this.transport = null;
+        if (err.type !== 'unavailable-id' || attempt >= ROOM_CODE_ATTEMPTS) {
+          this.isHost = false;
+          this.roomCode = null;
+          throw err;
+        }
+        console.warn('Room code', this.roomCode, 'is taken - trying another');
+      }
+    }
 
-      this.peer.on('connection', (conn) => {
-        this.handleConnection(conn);
-      });
+    this.transport.on('connection', (conn) => {
+      this.handleConnection(conn);
     });
+
+    console.log('Host created with room code:', id);
+    this.myId = id;
+    this.hostId = id;
+    this.hostPlayerId = id;
+    this.sim = new GameSimulation({ seed: (Math.random() * 0x100000000) >>> 0, clock: Date.now, rules: this.rules, map: this.map });
+    this.players = this.sim.players;
+    const me = this.sim.addPlayer(this.myId, this.playerName);
+    me.joinOrder = this.nextJoinOrder++;
+    me.peerId = this.myId;
+    this.startHeartbeat();
+    this.emit('roomCreated', { code: id });
+    return id;
   }
 
-  // Join an existing room
-  async joinRoom(roomCode, playerName) {
+  // Join an existing room. Pass `rejoin` ({ playerId, token } from an earlier
+  // `init`) to reclaim a player slot after a reload or a dropped connection,
+  // `spectate` to watch without taking a slot and `password` for a private
+  // room. Resolves once the host has let us in; rejects with a typed error
+  // (see joinError) and leaves us disconnected otherwise.
+  async joinRoom(roomCode, playerName, rejoin, spectate, password) {
     this.isHost = false;
     this.hostId = roomCode;
     this.roomCode = roomCode;
+    this.playerName = playerName;
+    this.spectating = !!spectate;
+    this.roomPassword = password || null;
+    if (rejoin) this.rejoinToken = rejoin.token;
 
-    this.peer = new Peer(PEER_OPTIONS);
+    this.transport = this.createTransport();
 
     return new Promise((resolve, reject) => {
-      this.peer.on('open', (id) => {
-        this.myId = id;
+      this.pendingJoin = {
+        resolve,
+        reject,
+        timer: setTimeout(() => this.failJoin(joinError('timeout', 'No answer from room ' + roomCode)), JOIN_TIMEOUT)
+      };
+
+      this.transport.on('error', (err) => {
+        console.error('Transport error:', err);
+        this.failJoin(err);
+      });
+
+      this.transport.open().then((id) => {
+        this.myId = rejoin ? rejoin.playerId : id;
         console.log('Connected to signaling server, my ID:', id);
 
         // Connect to host
-        const conn = this.peer.connect(roomCode, { reliable: true });
-
-        conn.on('open', () => {
-          console.log('Connected to host:', roomCode);
-          this.connections.set(roomCode, conn);
-          this.markPeerSeen(roomCode);
-          this.startHeartbeat();
-
-          // Send join request
-          conn.send({
-            type: 'join',
-            playerId: this.myId,
-            name: playerName
-          });
-
-          resolve();
-        });
+        this.connectToHost(roomCode, this.getJoinMessage()).catch((err) => this.failJoin(err));
+      }, (err) => this.failJoin(err));
+    });
+  }
 
-        conn.on('data', (data) => {
-          this.markPeerSeen(conn.peer);
-          this.handleMessage(conn, data);
-        });
+  // Client: the host let us in - settle joinRoom's promise
+  finishJoin() {
+    if (!this.pendingJoin) return;
+    clearTimeout(this.pendingJoin.timer);
+    this.pendingJoin.resolve(this.myId);
+    this.pendingJoin = null;
+  }
 
-        conn.on('close', () => {
-          this.connections.delete(conn.peer);
-          this.lastSeenAt.delete(conn.peer);
-          this.stopHeartbeat();
-          this.emit('disconnected', {});
-        });
+  // Client: the join didn't work out - hang up and reject joinRoom's promise.
+  // False when no join was pending.
+  failJoin(err) {
+    const pending = this.pendingJoin;
+    if (!pending) return false;
+    clearTimeout(pending.timer);
+    this.pendingJoin = null;
+    this.disconnect();
+    pending.reject(err);
+    return true;
+  }
 
-        conn.on('error', (err) => {
-          console.error('Connection error:', err);
-          reject(err);
-        });
+  getJoinMessage(extra) {
+    return Object.assign({
+      type: 'join',
+      playerId: this.myId,
+      name: this.playerName,
+      token: this.rejoinToken || undefined,
+      protocols: SUPPORTED_PROTOCOLS,
+      spectate: this.spectating || undefined,
+      password: this.roomPassword || undefined
+    }, extra);
+  }
+
+  // Open a connection to the host and send `hello` once it is up.
+  // Rejects on connection errors or if nothing happens within CONNECT_TIMEOUT.
+  connectToHost(hostId, hello) {
+    const conn = this.transport.connect(hostId);
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        const err = new Error('Timed out connecting to ' + hostId);
+        err.type = 'timeout';
+        conn.close();
+        reject(err);
+      }, CONNECT_TIMEOUT);
+
+      conn.on('open', () => {
+        clearTimeout(timeout);
+        console.log('Connected to host:', hostId);
+        this.hostId = hostId;
+        this.connections.set(hostId, conn);
+        // `join` always goes out as JSON; the host's `init` picks the version
+        this.protocol = PROTOCOL_JSON;
+        this.codec = createCodecContext();
+        this.markPeerSeen(hostId);
+        this.trackLink(conn);
+        this.startHeartbeat();
+        conn.send(hello);
+        resolve(conn);
+      });
+
+      conn.on('data', (data) => {
+        this.receive(conn, data);
       });
 
-      this.peer.on('error', (err) => {
-        console.error('Peer error:', err);
+      conn.on('close', () => {
+        if (this.connections.get(conn.peer) !== conn) return;
+        this.connections.delete(conn.peer);
+        this.lastSeenAt.delete(conn.peer);
+        this.links.delete(conn.peer);
+        this.stopHeartbeat();
+        this.handleHostLost(conn.peer);
+      });
+
+      conn.on('error', (err) => {
+        clearTimeout(timeout);
+        console.error('Connection error:', err);
         reject(err);
       });
     });
   }
 
+  // ─── Reconnect ────────────────────────────────────────────
+  // Losing the host connection usually means our own network blipped, so try
+  // the same host again with our rejoin token first. Only when the signaling
+  // layer says the host is gone for good do we fall back to host migration.
+
+  handleHostLost(oldHostId) {
+    // We quit on purpose
+    if (!this.transport) return;
+
+    this.emit('connectionLost', {});
+    this.rejoinStartedAt = Date.now();
+    this.retryHost(oldHostId);
+  }
+
+  retryHost(hostId) {
+    if (!this.transport || this.isHost) return;
+
+    this.connectToHost(hostId, this.getJoinMessage()).catch((err) => {
+      if (!this.transport) return;
+
+      if (err && err.type === 'peer-unavailable') {
+        this.migrateHost(hostId);
+      } else if (Date.now() - this.rejoinStartedAt > REJOIN_GRACE_MS) {
+        this.emit('disconnected', {});
+      } else {
+        setTimeout(() => this.retryHost(hostId), REJOIN_RETRY_DELAY);
+      }
+    });
+  }
+
+  // ─── Host migration ───────────────────────────────────────
+  // Every client ranks the remaining players by join order, so they all pick
+  // the same successor without talking to each other. The successor builds a
+  // GameSimulation from its last known state; everyone else reconnects to it.
+
+  getMigrationCandidates(excludeId) {
+    return Object.values(this.players)
+      .filter((p) => p.id !== excludeId && p.joinOrder !== undefined && !p.bot)
+      .sort((a, b) => a.joinOrder - b.joinOrder)
+      .map((p) => p.id);
+  }
+
+  migrateHost(oldHostId) {
+    const oldHostPlayerId = this.hostPlayerId || oldHostId;
+    delete this.players[oldHostPlayerId];
+    const candidates = this.getMigrationCandidates(oldHostPlayerId);
+    const bots = Object.values(this.players).filter((p) => p.bot).length;
+    if (candidates.length === 0 || candidates.length + bots < 2) {
+      // Nobody left to play with
+      this.emit('disconnected', {});
+      return;
+    }
+
+    console.log('Host left, migrating. Candidates:', candidates);
+    this.emit('hostMigrating', { oldHostId, newHostId: candidates[0] });
+    this.tryNextHost(candidates);
+  }
+
+  tryNextHost(candidates) {
+    const next = candidates.shift();
+    if (!next || !this.transport) {
+      this.emit('disconnected', {});
+      return;
+    }
+
+    if (next === this.myId) {
+      this.becomeHost(candidates);
+      return;
+    }
+
+    // The elected host may itself be gone - move down the list if it never answers
+    const peerId = this.players[next] && this.players[next].peerId || next;
+    this.connectToHost(peerId, this.getJoinMessage({ migrate: true })).catch(() => {
+      console.warn('Elected host did not answer:', next);
+      delete this.players[next];
+      this.tryNextHost(candidates);
+    });
+  }
+
+  // Take over the room with the players state we last received
+  becomeHost(expectedPeers) {
+    console.log('Taking over as host');
+    this.isHost = true;
+    this.hostId = this.myId;
+    this.hostPlayerId = this.myId;
+
+    this.sim = new GameSimulation({ seed: (Math.random() * 0x100000000) >>> 0, clock: Date.now, rules: this.rules, map: this.map });
+    this.sim.loadState({
+      players: this.players,
+      phase: this.phase,
+      roundActive: this.roundActive,
+      countdown: this.countdown,
+      roundStartTime: this.roundStartTime,
+      matchWinner: this.matchWinner,
+      pickups: this.pickups,
+      rules: this.rules,
+      map: this.map
+    });
+    this.players = this.sim.players;
+    this.spectators = {}; // they reconnect like everyone else
+    this.nextJoinOrder = 1 + Math.max(0, ...Object.values(this.players).map((p) => p.joinOrder || 0));
+
+    // Returning peers get a full snapshot in their `init`
+    for (const id in this.players) {
+      const p = this.players[id];
+      p.turning = 0;
+      if (p.bot) {
+        // The old host's bots carry on under us
+        this.bots.set(id, new Bot(id, p.bot, this.sim.seed + this.nextBotNumber++));
+      } else if (id !== this.myId && p.peerId) {
+        this.peerPlayers.set(p.peerId, id);
+      }
+    }
+    this.players[this.myId].peerId = this.myId;
+
+    this.transport.on('connection', (conn) => {
+      this.handleConnection(conn);
+    });
+    this.claimRoomCode();
+    this.startHeartbeat();
+
+    // Hold the simulation until everyone is back (or the wait runs out)
+    this.migration = {
+      expected: new Set(expectedPeers),
+      timer: setTimeout(() => this.finishMigration(), MIGRATION_WAIT)
+    };
+    if (this.migration.expected.size === 0) this.finishMigration();
+
+    this.emit('hostMigrated', { hostId: this.myId, isHost: true });
+  }
+
+  finishMigration() {
+    if (!this.migration) return;
+    clearTimeout(this.migration.timer);
+
+    // Whoever didn't come back is gone
+    const missing = Array.from(this.migration.expected);
+    this.migration = null;
+    for (const id of missing) {
+      this.dropPlayer(id);
+    }
+
+    this.syncFromSim();
+    this.broadcastPlayerList();
+    this.broadcastState();
+
+    if (this.gameStarted && this.phase !== 'matchOver' && this.phase !== 'lobby') {
+      this.startPhysicsLoop();
+    }
+  }
+
+  // Late joiners still dial the room code, which died with the old host.
+  // Register it on a second transport once the signaling server lets it go.
+  claimRoomCode(attempt = 0) {
+    if (!this.isHost || !this.transport || this.roomTransport || this.roomCode === this.myId) return;
+
+    const transport = this.createTransport();
+    transport.open(this.roomCode).then(() => {
+      if (!this.isHost || !this.transport) {
+        transport.destroy();
+        return;
+      }
+      console.log('Took over room code:', this.roomCode);
+      this.roomTransport = transport;
+      transport.on('connection', (conn) => {
+        this.handleConnection(conn);
+      });
+    }, () => {
+      transport.destroy();
+      if (attempt + 1 < ROOM_CODE_CLAIM_ATTEMPTS) {
+        setTimeout(() => this.claimRoomCode(attempt + 1), ROOM_CODE_CLAIM_RETRY);
+      }
+    });
+  }
+
   handleConnection(conn) {
     console.log('Incoming connection from:', conn.peer);
+    // Same peer id again (a rejoin) - the old connection is dead but may not
+    // have closed yet; it is closed once the peer resumes its slot
+    const previous = this.connections.get(conn.peer);
+    if (previous && previous !== conn) this.superseded.set(conn.peer, previous);
     this.connections.set(conn.peer, conn);
     this.markPeerSeen(conn.peer);
+    this.trackLink(conn);
 
     conn.on('data', (data) => {
-      this.markPeerSeen(conn.peer);
-      this.handleMessage(conn, data);
+      this.receive(conn, data);
     });
 
     conn.on('close', () => {
+      // A connection we already replaced - its peer's state belongs to the new one
+      if (this.connections.get(conn.peer) !== conn) return;
+      // We are leaving ourselves - there is no slot left to hold
+      if (!this.transport) return;
       console.log('Connection closed:', conn.peer);
       this.connections.delete(conn.peer);
+      this.superseded.delete(conn.peer);
       this.lastSeenAt.delete(conn.peer);
+      this.links.delete(conn.peer);
+      this.protocols.delete(conn.peer);
+      this.guards.delete(conn.peer);
+      this.chatLimits.delete(conn.peer);
+      this.baselines.delete(conn.peer);
+
+      if (this.spectators[conn.peer]) {
+        delete this.spectators[conn.peer];
+        this.rejoinTokens.delete(conn.peer);
+        this.broadcastPlayerList();
+        return;
+      }
+
+      const playerId = this.peerPlayers.get(conn.peer) || conn.peer;
+      this.peerPlayers.delete(conn.peer);
+
+      // Hold the player's slot for a while instead of wiping lives and score
+      const p = this.players[playerId];
+      if (p && p.peerId === conn.peer) this.holdPlayerSlot(playerId);
+    });
+  }
+
+  holdPlayerSlot(playerId) {
+    const p = this.players[playerId];
+    if (!p || !this.isHost) return;
+
+    p.connected = false;
+    this.sim.setInput(playerId, 0);
+    clearTimeout(this.graceTimers.get(playerId));
+    this.graceTimers.set(playerId, setTimeout(() => this.dropPlayer(playerId), REJOIN_GRACE_MS));
+
+    this.emit('playerDisconnected', { playerId });
+    this.broadcastPlayerList();
+  }
+
+  // Remove a player for good (grace period over, or never came back after migration)
+  dropPlayer(playerId) {
+    clearTimeout(this.graceTimers.get(playerId));
+    this.graceTimers.delete(playerId);
+    this.rejoinTokens.delete(playerId);
+    this.bots.delete(playerId);
+    if (!this.sim || !this.players[playerId]) return;
+
+    this.forgetBaselinePlayer(playerId);
+    this.sim.removePlayer(playerId);
+    this.emit('playerLeft', { playerId });
+    this.broadcastPlayerList();
+  }
+
+  generateRejoinToken() {
+    let token = '';
+    for (let i = 0; i < 4; i++) {
+      token += Math.random().toString(36).slice(2, 8);
+    }
+    return token;
+  }
+
+  // Work out who a `join` is for: a returning player (rejoin token), a peer
+  // following us after host migration, or somebody new
+  resolveJoin(conn, data) {
+    const known = this.players[data.playerId];
 
-      // Remove player from game
-      delete this.players[conn.peer];
-      this.emit('playerLeft', { playerId: conn.peer });
+    if (known && data.token && this.rejoinTokens.get(data.playerId) === data.token) {
+      return { playerId: data.playerId, resume: 'rejoin' };
+    }
+    if (known && data.migrate && (known.peerId || data.playerId) === conn.peer) {
+      return { playerId: data.playerId, resume: 'migrate' };
+    }
+    return { playerId: conn.peer, resume: null };
+  }
+
+  // Remember what a newly accepted connection speaks and start its baseline
+  acceptConnection(conn, data) {
+    this.joinedConnections.add(conn);
+    this.protocols.set(conn.peer, negotiateProtocol(data.protocols));
+    this.resetBaseline(conn.peer, Array.isArray(data.protocols));
+  }
+
+  // Send current game state to a new arrival (every trail point, so
+  // mid-round joiners and returning peers start from a complete picture)
+  sendInit(conn, fields) {
+    const seq = ++this.stateSeq;
+    this.sendTo(conn, Object.assign({
+      type: 'init',
+      hostId: this.myId,
+      gameStarted: this.gameStarted,
+      rules: this.rules,
+      map: this.map,
+      protocol: this.protocols.get(conn.peer),
+      locked: !!this.roomPassword,
+      state: this.serializeStateFor(conn.peer, seq, captureBaseline(this.players))
+    }, fields));
+  }
+
+  // ─── Spectators ───────────────────────────────────────────
+  // Spectators get every state and player list but hold no slot, never
+  // count towards a match and can't be elected host. Their id is their peer
+  // id. Between matches they can swap with being a player.
+
+  addSpectator(conn, name, data) {
+    this.spectators[conn.peer] = { id: conn.peer, name };
+    this.acceptConnection(conn, data);
+    // Spectators get a token too - it is what a ban recognises after a reload
+    this.rejoinTokens.set(conn.peer, this.generateRejoinToken());
+    this.sendInit(conn, {
+      playerId: conn.peer,
+      token: this.rejoinTokens.get(conn.peer),
+      spectator: true,
+      resume: data.migrate ? 'migrate' : null
     });
+    this.broadcastPlayerList();
+  }
+
+  // Roles only change while no match is running
+  changeRole(conn, role) {
+    if (this.gameStarted && this.phase !== 'matchOver') return;
+
+    const playerId = this.peerPlayers.get(conn.peer);
+    if (role === 'spectator' && playerId) {
+      this.spectators[conn.peer] = { id: conn.peer, name: this.players[playerId].name };
+      this.peerPlayers.delete(conn.peer);
+      this.dropPlayer(playerId); // sends the new list (and forgets the player's token)
+      this.rejoinTokens.set(conn.peer, this.generateRejoinToken());
+      conn.send({ type: 'roleChanged', role, playerId: conn.peer, token: this.rejoinTokens.get(conn.peer) });
+      return;
+    }
+
+    if (role === 'player' && this.spectators[conn.peer] && !this.players[conn.peer]) {
+      if (Object.keys(this.players).length >= MAX_PLAYERS) return;
+      const name = this.spectators[conn.peer].name;
+      delete this.spectators[conn.peer];
+      const p = this.sim.addPlayer(conn.peer, name);
+      p.joinOrder = this.nextJoinOrder++;
+      p.peerId = conn.peer;
+      p.ready = false;
+      this.peerPlayers.set(conn.peer, conn.peer);
+      this.rejoinTokens.set(conn.peer, this.generateRejoinToken());
+      conn.send({ type: 'roleChanged', role, playerId: conn.peer, token: this.rejoinTokens.get(conn.peer) });
+      this.emit('playerJoined', { playerId: conn.peer, name });
+      this.broadcastPlayerList();
+    }
   }
 
   handleMessage(conn, data) {
@@ -220,55 +933,145 @@ class Network {
       case 'join':
         // Host handles new player
         if (this.isHost) {
-          const playerCount = Object.keys(this.players).length;
-          this.players[data.playerId] = createPlayer(data.playerId, playerCount, data.name);
-
-          // Reset static-sent tracking so new player gets full state
-          resetStaticSent();
-
-          // Send current game state to new player
-          conn.send({
-            type: 'init',
-            playerId: data.playerId,
-            state: serializeGameState(this.players, this.roundActive, this.countdown, this.roundStartTime, this.matchWinner)
-          });
-
-          // If game already started, new player joins as dead
-          if (this.gameStarted) {
-            this.players[data.playerId].alive = false;
+          // One player per connection
+          if (this.joinedConnections.has(conn)) {
+            this.penalize(conn, 'repeated join');
+            break;
+          }
+          if (this.banned.has(conn.peer) || this.banned.has(data.playerId) || this.banned.has(data.token)) {
+            this.sendAndClose(conn, { type: 'joinRejected', reason: 'banned' });
+            break;
+          }
+          if (this.roomPassword && data.password !== this.roomPassword) {
+            this.sendAndClose(conn, { type: 'joinRejected', reason: 'wrong-password' });
+            break;
+          }
+          const name = sanitizeName(data.name);
+          if (data.spectate) {
+            this.addSpectator(conn, name, data);
+            break;
+          }
+          const { playerId, resume } = this.resolveJoin(conn, data);
+          // Returning players have a slot already; spectators never need one
+          if (!resume && Object.keys(this.players).length >= MAX_PLAYERS) {
+            this.sendAndClose(conn, { type: 'joinRejected', reason: 'room-full' });
+            break;
           }
 
-          this.emit('playerJoined', { playerId: data.playerId, name: data.name });
+          if (resume) {
+            // Same player, possibly on a new connection - keeps slot, color, lives and score
+            const p = this.players[playerId];
+            const movedPeer = p.peerId && p.peerId !== conn.peer;
+            const previous = movedPeer ? this.connections.get(p.peerId) : this.superseded.get(conn.peer);
+            this.superseded.delete(conn.peer);
+            if (movedPeer) this.peerPlayers.delete(p.peerId);
+            clearTimeout(this.graceTimers.get(playerId));
+            this.graceTimers.delete(playerId);
+            p.connected = true;
+            p.peerId = conn.peer;
+            if (previous) previous.close();
+            if (this.migration) this.migration.expected.delete(playerId);
+          } else {
+            // Late joiners are added dead and sit out until the next match
+            const p = this.sim.addPlayer(playerId, name);
+            p.joinOrder = this.nextJoinOrder++;
+            p.peerId = conn.peer;
+            p.ready = false;
+          }
+          this.peerPlayers.set(conn.peer, playerId);
+          this.acceptConnection(conn, data);
+
+          if (!this.rejoinTokens.has(playerId)) {
+            this.rejoinTokens.set(playerId, this.generateRejoinToken());
+          }
+
+          this.sendInit(conn, { playerId, token: this.rejoinTokens.get(playerId), resume });
+
+          if (resume === 'rejoin') {
+            this.emit('playerRejoined', { playerId });
+          } else if (!resume) {
+            this.emit('playerJoined', { playerId, name });
+          }
           this.broadcastPlayerList();
 
-          // Send immediate state update to new player
-          resetStaticSent();
-          conn.send({
-            type: 'state',
-            state: serializeGameState(this.players, this.roundActive, this.countdown, this.roundStartTime, this.matchWinner)
-          });
+          if (this.migration && this.migration.expected.size === 0) {
+            this.finishMigration();
+          }
         }
         break;
 
-      case 'init':
+      case 'role':
+        if (this.isHost) this.changeRole(conn, data.role);
+        break;
+
+      case 'init': {
         // Client receives initial state
+        const firstInit = !this.joined;
+        this.joined = true;
         this.myId = data.playerId;
-        applyGameState(this.players, data.state);
-        this.roundActive = data.state.ra !== undefined ? data.state.ra : data.state.roundActive;
-        this.countdown = data.state.cd !== undefined ? data.state.cd : data.state.countdown;
-        this.roundStartTime = data.state.rst !== undefined ? data.state.rst : data.state.roundStartTime;
-        this.matchWinner = data.state.mw !== undefined ? data.state.mw : data.state.matchWinner;
-        this.emit('init', { playerId: data.playerId });
+        this.hostPlayerId = data.hostId || this.hostId;
+        this.rejoinToken = data.token || this.rejoinToken;
+        this.protocol = data.protocol || PROTOCOL_JSON;
+        this.spectating = !!data.spectator;
+        // Keep the password only for a room that wants one - if we ever take
+        // over as host, it's what we ask of everyone else
+        if (!data.locked) this.roomPassword = null;
+        this.applyMap(data.map);
+        this.applyRules(data.rules);
+
+        if (data.resume) {
+          // Returning to a host - its snapshot replaces our trails
+          for (const id in this.players) {
+            const p = this.players[id];
+            p.trailLen = 0;
+            p.trailStart = 0;
+            p.trailTotal = 0;
+          }
+        }
+        applyGameState(this.players, data.state, this.rules);
+        this.roundActive = data.state.ra;
+        this.countdown = data.state.cd;
+        this.roundStartTime = data.state.rst;
+        this.matchWinner = data.state.mw;
+        this.phase = data.state.ph || this.phase;
+        this.pickups = readPickups(data.state);
+        this.sendAck(data.state.sq);
+
+        if (data.resume === 'migrate') {
+          this.emit('hostMigrated', { hostId: this.hostPlayerId, isHost: false });
+        } else if ((data.resume === 'rejoin' || data.spectator) && !firstInit) {
+          // Spectators have nothing to reclaim - coming back is all there is
+          this.emit('rejoined', { playerId: data.playerId });
+        } else {
+          this.emit('init', { playerId: data.playerId, token: this.rejoinToken, roomCode: this.roomCode });
+        }
+
+        // Joining (or reloading into) a match that is already running
+        if (data.gameStarted && !this.gameStarted) {
+          this.gameStarted = true;
+          this.emit('gameStart', {});
+        }
         this.emit('stateUpdate', { state: data.state });
+        this.finishJoin();
         break;
+      }
 
       case 'state':
         // Client receives game state update
-        applyGameState(this.players, data.state);
-        this.roundActive = data.state.ra !== undefined ? data.state.ra : data.state.roundActive;
-        this.countdown = data.state.cd !== undefined ? data.state.cd : data.state.countdown;
-        this.roundStartTime = data.state.rst !== undefined ? data.state.rst : data.state.roundStartTime;
-        this.matchWinner = data.state.mw !== undefined ? data.state.mw : data.state.matchWinner;
+        if (this.links.has(conn.peer)) this.links.get(conn.peer).stateAt = Date.now();
+        if (data.state.unknownSlots && Date.now() - this.lastRecoveryRequestAt > NETWORK_TICK_INTERVAL * 5) {
+          // A binary frame named a player we have no id for - get a full picture
+          this.requestSnapshot();
+        }
+        applyGameState(this.players, data.state, this.rules);
+        this.roundActive = data.state.ra;
+        this.countdown = data.state.cd;
+        this.roundStartTime = data.state.rst;
+        this.matchWinner = data.state.mw;
+        this.phase = data.state.ph || this.phase;
+        this.pickups = readPickups(data.state);
+        // Only acknowledge what we could apply in full
+        if (!data.state.unknownSlots) this.sendAck(data.state.sq);
         this.emit('stateUpdate', { state: data.state });
         break;
 
@@ -279,31 +1082,115 @@ class Network {
         break;
 
       case 'pong':
-        // keepalive acknowledgement
+        if (this.links.has(conn.peer) && data.t !== undefined) this.links.get(conn.peer).pongReceived(data.t);
         break;
 
       case 'snapshotRequest':
-        if (this.isHost && conn.open) {
-          resetStaticSent();
-          conn.send({
-            type: 'state',
-            state: serializeGameState(this.players, this.roundActive, this.countdown, this.roundStartTime, this.matchWinner)
-          });
+        if (this.isHost && conn.open && this.baselines.has(conn.peer)) {
+          this.resetBaseline(conn.peer);
+          this.sendStateTo(conn);
         }
         break;
 
+      case 'ack':
+        // Client has applied state `sq` - deltas can start from there
+        if (this.isHost) this.handleAck(conn.peer, data.sq);
+        break;
+
       case 'gameStart':
         // Client receives game start signal
         if (!this.isHost) {
+          this.applyMap(data.map);
+          this.applyRules(data.rules);
           this.gameStarted = true;
           this.emit('gameStart', {});
         }
         break;
 
+      case 'rules':
+        // The host changed the rules in the lobby
+        if (!this.isHost) this.applyRules(data.rules);
+        break;
+
+      case 'gameEvents':
+        if (!this.isHost && Array.isArray(data.events)) this.receiveGameEvents(data.events);
+        break;
+
+      case 'map':
+        // The host picked another map (which may have resized the arena)
+        if (!this.isHost) {
+          this.applyMap(data.map);
+          this.applyRules(data.rules);
+        }
+        break;
+
+      case 'team':
+        // Players pick their own team; only the host moves anyone else
+        if (this.isHost) this.setTeam(this.peerPlayers.get(conn.peer), data.team);
+        break;
+
+      case 'chat':
+        if (this.isHost) {
+          // Spectators chat under their peer id
+          const senderId = this.peerPlayers.get(conn.peer) || conn.peer;
+          if (this.chatLimitFor(conn.peer).take()) this.relayChat(senderId, sanitizeChat(data.text));
+        } else if (typeof data.text === 'string') {
+          this.emit('chat', { id: data.id, name: data.name, text: data.text, spectator: !!data.spectator });
+        }
+        break;
+
+      case 'emote':
+        if (this.isHost) {
+          if (this.chatLimitFor(conn.peer).take()) this.relayEmote(this.peerPlayers.get(conn.peer), data.emote);
+        } else if (isEmote(data.emote)) {
+          this.emit('emote', { id: data.id, emote: data.emote });
+        }
+        break;
+
+      case 'ready':
+        if (this.isHost) this.setReady(this.peerPlayers.get(conn.peer), data.ready);
+        break;
+
+      case 'color':
+        if (this.isHost) this.setColor(this.peerPlayers.get(conn.peer), data.color);
+        break;
+
       case 'input':
-        // Host receives player input from client
-        if (this.isHost && data.update) {
-          applyPlayerUpdate(this.players, data.update);
+        // Host receives player input from client - it always steers the
+        // player bound to this connection, whatever id the message claims
+        if (this.isHost) {
+          this.sim.setInput(this.peerPlayers.get(conn.peer), data.update.turning);
+        }
+        break;
+
+      case 'roleChanged':
+        // Host moved us between playing and spectating
+        if (!this.isHost && conn.peer === this.hostId) {
+          this.spectating = data.role === 'spectator';
+          this.myId = data.playerId;
+          this.rejoinToken = data.token || null;
+          this.emit('roleChanged', { role: data.role, playerId: data.playerId, token: this.rejoinToken });
+        }
+        break;
+
+      case 'kicked':
+        // Host dropped us - don't try to rejoin
+        if (!this.isHost && conn.peer === this.hostId) {
+          console.warn('Removed by host:', data.reason);
+          this.disconnect();
+          this.emit('disconnected', { reason: data.banned ? 'BANNED FROM ROOM' : 'REMOVED BY HOST' });
+        }
+        break;
+
+      case 'joinRejected':
+        // Room full, wrong password or we're banned
+        if (!this.isHost && conn.peer === this.hostId) {
+          const err = joinError(String(data.reason), 'Join refused: ' + data.reason);
+          if (!this.failJoin(err)) {
+            // Turned away while reconnecting
+            this.disconnect();
+            this.emit('disconnected', { error: err });
+          }
         }
         break;
 
@@ -316,15 +1203,29 @@ class Network {
               this.players[id].score = ps.score;
               this.players[id].lives = ps.lives !== undefined ? ps.lives : this.players[id].lives;
               this.players[id].alive = ps.alive;
+              this.players[id].color = ps.color; // follows team and color changes
             } else {
-              this.players[id] = createPlayer(id, Object.keys(this.players).length, ps.name);
+              this.players[id] = createPlayer(id, ps.slot !== undefined ? ps.slot : Object.keys(this.players).length, ps.name, this.rules);
               this.players[id].color = ps.color;
               this.players[id].score = ps.score;
-              this.players[id].lives = ps.lives !== undefined ? ps.lives : MAX_LIVES;
+              this.players[id].lives = ps.lives !== undefined ? ps.lives : this.rules.lives;
               this.players[id].alive = ps.alive;
             }
+            this.players[id].joinOrder = ps.order;
+            this.players[id].peerId = ps.peer;
+            this.players[id].connected = ps.connected;
+            this.players[id].bot = ps.bot || null;
+            this.players[id].team = ps.team !== undefined ? ps.team : null;
+            this.players[id].colorIndex = ps.colorIndex;
+            this.players[id].ready = !!ps.ready;
+          }
+
+          // The host's list is authoritative - forget anyone it dropped
+          for (const id in this.players) {
+            if (!data.players[id]) delete this.players[id];
           }
-          this.emit('playerList', { players: data.players });
+          this.spectators = data.spectators || {};
+          this.emit('playerList', { players: data.players, spectators: this.spectators });
         }
         break;
 
@@ -340,9 +1241,7 @@ class Network {
   // Check if connection can accept more data (backpressure)
   canSend(conn) {
     if (!conn || !conn.open) return false;
-    // PeerJS wraps RTCDataChannel - check bufferedAmount if available
-    const dc = conn._dc || conn.dataChannel;
-    if (dc && dc.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+    if (conn.bufferedAmount > MAX_BUFFERED_AMOUNT) {
       return false; // Backpressure: skip this send
     }
     return true;
@@ -352,22 +1251,19 @@ class Network {
   broadcastState() {
     if (!this.isHost) return;
 
-    const state = serializeGameState(
-      this.players,
-      this.roundActive,
-      this.countdown,
-      this.roundStartTime,
-      this.matchWinner
-    );
+    const seq = ++this.stateSeq;
+    const sent = captureBaseline(this.players);
 
-    const msg = { type: 'state', state };
+    // Each client gets the delta from its own acknowledged baseline. Skipping
+    // a backed-up connection loses nothing - its next state covers the gap.
     for (const [peerId, conn] of this.connections) {
-      if (this.canSend(conn)) {
-        conn.send(msg);
+      if (this.baselines.has(peerId) && this.canSend(conn)) {
+        this.sendTo(conn, { type: 'state', state: this.serializeStateFor(peerId, seq, sent) });
       }
     }
 
-    this.emit('stateUpdate', { state });
+    // The host's own UI only reads the header - serialize against what it holds
+    this.emit('stateUpdate', { state: this.serializeState(sent, seq) });
   }
 
   // Host: broadcast player list
@@ -382,38 +1278,55 @@ class Network {
         score: this.players[id].score,
         lives: this.players[id].lives,
         color: this.players[id].color,
-        alive: this.players[id].alive
+        alive: this.players[id].alive,
+        order: this.players[id].joinOrder,
+        peer: this.players[id].peerId,
+        connected: this.players[id].connected !== false,
+        slot: this.players[id].spawnIndex,
+        bot: this.players[id].bot || null,
+        team: this.players[id].team,
+        colorIndex: this.players[id].colorIndex,
+        ready: !!this.players[id].ready
       };
     }
 
-    const msg = { type: 'playerList', players: list };
+    const msg = { type: 'playerList', players: list, spectators: this.spectators };
+    const frames = {};
     for (const [peerId, conn] of this.connections) {
       if (conn.open) {
-        conn.send(msg);
+        this.sendTo(conn, msg, frames);
       }
     }
 
-    this.emit('playerList', { players: list });
+    this.emit('playerList', { players: list, spectators: this.spectators });
   }
 
   // Send input to host (client)
   sendInput(turning) {
     if (this.isHost) {
       // Apply directly if host
-      const p = this.players[this.myId];
-      if (p) p.turning = turning;
+      this.sim.setInput(this.myId, turning);
     } else {
       // Send to host
       const conn = this.connections.get(this.hostId);
       if (conn && conn.open) {
-        conn.send({
+        this.sendTo(conn, {
           type: 'input',
-          update: { id: this.myId, turning }
+          update: { turning }
         });
       }
     }
   }
 
+  // Ask the host to make us a player or a spectator (client, between matches)
+  requestRole(role) {
+    if (this.isHost) return;
+    const conn = this.connections.get(this.hostId);
+    if (conn && conn.open) {
+      conn.send({ type: 'role', role });
+    }
+  }
+
   // Send restart request to host (client)
   sendRestart() {
     if (!this.isHost) {
@@ -424,86 +1337,359 @@ class Network {
     }
   }
 
-  // Start game (host)
-  startGame() {
-    if (!this.isHost) return;
-    if (Object.keys(this.players).length < 2) {
-      this.emit('error', { message: 'Need at least 2 players!' });
-      return;
+  // ─── Bots ─────────────────────────────────────────────────
+  // Bots fill empty spawn slots. They are players like any other to the
+  // simulation, clients and replays; only the host knows to steer them.
+
+  // Host: add a bot at `level` ('easy', 'normal' or 'hard'), between matches
+  addBot(level) {
+    if (!this.isHost || !BOT_LEVELS[level]) return null;
+    if (this.gameStarted && this.phase !== 'matchOver') {
+      this.emit('error', { message: 'Bots can only join between matches!' });
+      return null;
+    }
+    if (Object.keys(this.players).length >= MAX_PLAYERS) {
+      this.emit('error', { message: 'Arena is full!' });
+      return null;
     }
 
-    this.gameStarted = true;
-    this.roundActive = false;
-    this.countdown = 3;
-    this.matchWinner = null;
+    // Numbers can be taken by bots inherited through host migration
+    let number = this.nextBotNumber++;
+    while (this.players['bot-' + number]) number = this.nextBotNumber++;
+    const id = 'bot-' + number;
+    const p = this.sim.addPlayer(id, 'BOT ' + number);
+    p.bot = level;
+    this.bots.set(id, new Bot(id, level, this.sim.seed + number));
+
+    this.emit('playerJoined', { playerId: id, name: p.name });
+    this.broadcastPlayerList();
+    return id;
+  }
 
-    // Reset all player lives for new match
-    for (const id in this.players) {
-      this.players[id].lives = MAX_LIVES;
-      this.players[id].score = 0;
+  // Host: take a bot out of the room
+  removeBot(id) {
+    if (!this.isHost || !this.bots.has(id)) return;
+    this.dropPlayer(id);
+  }
+
+  // Host: let every bot pick its turning for the coming tick
+  driveBots() {
+    for (const [id, bot] of this.bots) {
+      const turning = bot.update(this.sim);
+      if (turning !== null) this.sim.setInput(id, turning);
     }
+  }
 
-    // Reset network serialization state
-    resetStaticSent();
+  // ─── Rules ────────────────────────────────────────────────
+  // The host's simulation owns the rules; clients keep a copy for prediction,
+  // the HUD and trail buffer sizes, and take over with it if they become host.
+
+  // Host: change the rules. Like the roster, only between matches.
+  setRules(rules) {
+    if (!this.isHost) return false;
+    if ((this.gameStarted && this.phase !== 'matchOver') || !this.sim.setRules(rules)) {
+      this.emit('error', { message: 'Rules can only change between matches!' });
+      return false;
+    }
+    this.syncFromSim();
 
-    // Notify all clients - include initial countdown state
     for (const [peerId, conn] of this.connections) {
       if (conn.open) {
-        conn.send({ type: 'gameStart' });
+        conn.send({ type: 'rules', rules: this.rules });
       }
     }
+    // New trail buffers and, in the lobby, new lives
+    this.broadcastPlayerList();
+    this.broadcastState();
+    this.emit('rules', this.rules);
+    return true;
+  }
 
-    // Broadcast initial countdown immediately so clients see "3"
+  // Client: adopt the host's rules. Trails restart when their size changes.
+  applyRules(rules) {
+    const next = normalizeRules(rules);
+    if (sameRules(next, this.rules)) return;
+    this.rules = next;
+    for (const id in this.players) {
+      if (this.players[id].trailX.length !== next.trailMax) resizeTrail(this.players[id], next.trailMax);
+    }
+    this.emit('rules', this.rules);
+  }
+
+  // ─── Maps ─────────────────────────────────────────────────
+  // Like the rules: the host's simulation owns the map, clients keep a copy
+  // to draw it and to take over with.
+
+  // Host: switch maps between matches. `map` is a BUILTIN_MAPS entry or a
+  // parsed map file (null for the open arena).
+  setMap(map) {
+    if (!this.isHost) return false;
+    if ((this.gameStarted && this.phase !== 'matchOver') || !this.sim.setMap(map)) {
+      this.emit('error', { message: 'Maps can only change between matches!' });
+      return false;
+    }
+    this.syncFromSim();
+
+    for (const [peerId, conn] of this.connections) {
+      if (conn.open) {
+        conn.send({ type: 'map', map: this.map, rules: this.rules });
+      }
+    }
     this.broadcastState();
+    this.emit('map', this.map);
+    this.emit('rules', this.rules);
+    return true;
+  }
 
-    this.emit('gameStart', {});
+  // Client: adopt the host's map. One we can't read is drawn as the open
+  // arena - the host still decides who hits what.
+  applyMap(map) {
+    let next = null;
+    try {
+      next = parseMap(map || null);
+    } catch (e) {
+      console.warn('Ignoring bad map from host:', e.message);
+    }
+    if (sameMap(next, this.map)) return;
+    this.map = next;
+    this.emit('map', this.map);
+  }
 
-    // Start countdown
-    this.runCountdown();
+  // ─── Teams ────────────────────────────────────────────────
+
+  // Host: move a player (bots included) to `team`, between matches
+  setTeam(playerId, team) {
+    if (!this.isHost || !playerId) return false;
+    if ((this.gameStarted && this.phase !== 'matchOver') || !this.sim.setTeam(playerId, team)) return false;
+    this.broadcastPlayerList(); // carries the new team color
+    return true;
   }
 
-  // Run countdown then start round
-  runCountdown() {
-    if (!this.isHost) return;
+  // Move ourselves to `team`
+  requestTeam(team) {
+    if (this.isHost) return this.setTeam(this.myId, team);
+    const conn = this.connections.get(this.hostId);
+    if (conn && conn.open) {
+      conn.send({ type: 'team', team });
+    }
+    return true;
+  }
 
-    const interval = setInterval(() => {
-      this.countdown--;
+  // ─── Chat ─────────────────────────────────────────────────
+  // Lobby and match chat and quick emotes (see chat.js). Everything goes
+  // through the host, which relays it to everyone, itself included, as
+  // 'chat' and 'emote'.
 
-      // Broadcast countdown to all clients during countdown phase
-      resetStaticSent(); // Ensure new state is fully sent
-      this.broadcastState();
+  // Send a line of chat; false when there's nothing to send or we're
+  // sending too fast
+  sendChat(text) {
+    const clean = sanitizeChat(text);
+    if (!clean || !this.chatLimit.take()) return false;
+    if (this.isHost) {
+      this.relayChat(this.myId, clean);
+      return true;
+    }
+    const conn = this.connections.get(this.hostId);
+    if (!conn || !conn.open) return false;
+    conn.send({ type: 'chat', text: clean });
+    return true;
+  }
 
-      if (this.countdown <= 0) {
-        clearInterval(interval);
-        this.startRound();
+  // Show emote `emote` (an index into EMOTES) over our bike
+  sendEmote(emote) {
+    if (this.spectating || !isEmote(emote) || !this.chatLimit.take()) return false;
+    if (this.isHost) {
+      this.relayEmote(this.myId, emote);
+      return true;
+    }
+    const conn = this.connections.get(this.hostId);
+    if (!conn || !conn.open) return false;
+    conn.send({ type: 'emote', emote });
+    return true;
+  }
+
+  chatLimitFor(peerId) {
+    let limit = this.chatLimits.get(peerId);
+    if (!limit) {
+      limit = new ChatLimiter();
+      this.chatLimits.set(peerId, limit);
+    }
+    return limit;
+  }
+
+  // Host: pass a line from a player or spectator on to everyone
+  relayChat(senderId, text) {
+    const sender = this.players[senderId] || this.spectators[senderId];
+    if (!sender || !text) return;
+    const msg = { type: 'chat', id: senderId, name: sender.name, text, spectator: !this.players[senderId] };
+    for (const [peerId, conn] of this.connections) {
+      if (conn.open) {
+        conn.send(msg);
       }
-    }, 1000);
+    }
+    this.emit('chat', { id: msg.id, name: msg.name, text, spectator: msg.spectator });
+  }
+
+  // Host: show a player's emote to everyone
+  relayEmote(playerId, emote) {
+    if (!this.players[playerId]) return;
+    for (const [peerId, conn] of this.connections) {
+      if (conn.open) {
+        conn.send({ type: 'emote', id: playerId, emote });
+      }
+    }
+    this.emit('emote', { id: playerId, emote });
   }
 
-  // Start round
-  startRound() {
+  // ─── Lobby ────────────────────────────────────────────────
+  // Between matches players pick a free color and mark themselves ready; the
+  // host can only launch once every connected player is. The host can also
+  // remove anyone, and ban them so they can't join again while the room lasts.
+
+  // Host: give a player one of the free COLORS
+  setColor(playerId, colorIndex) {
+    if (!this.isHost || !playerId) return false;
+    if ((this.gameStarted && this.phase !== 'matchOver') || !this.sim.setColor(playerId, colorIndex)) return false;
+    this.broadcastPlayerList();
+    return true;
+  }
+
+  // Switch ourselves to another color
+  requestColor(colorIndex) {
+    if (this.isHost) return this.setColor(this.myId, colorIndex);
+    const conn = this.connections.get(this.hostId);
+    if (conn && conn.open) {
+      conn.send({ type: 'color', color: colorIndex });
+    }
+    return true;
+  }
+
+  // Host: mark a player ready (or not)
+  setReady(playerId, ready) {
+    const p = this.isHost && this.players[playerId];
+    if (!p || p.ready === ready) return;
+    p.ready = ready;
+    this.broadcastPlayerList();
+  }
+
+  // Mark ourselves ready (or not) for the next match
+  sendReady(ready) {
+    if (this.isHost) {
+      this.setReady(this.myId, ready);
+      return;
+    }
+    const conn = this.connections.get(this.hostId);
+    if (conn && conn.open) {
+      conn.send({ type: 'ready', ready });
+    }
+  }
+
+  // Connected human players the host is waiting on (the host launches, so
+  // isn't one of them; bots are always ready)
+  getReadyCount() {
+    let ready = 0;
+    let needed = 0;
+    for (const id in this.players) {
+      const p = this.players[id];
+      if (p.bot || id === this.hostPlayerId || p.connected === false) continue;
+      needed++;
+      if (p.ready) ready++;
+    }
+    return { ready, needed };
+  }
+
+  // Host: remove a player or spectator from the room. `ban` also keeps them
+  // from joining again under the same ids.
+  kickPlayer(id, ban = false) {
+    if (!this.isHost || id === this.myId) return;
+    if (this.bots.has(id)) {
+      this.removeBot(id);
+      return;
+    }
+    const peerId = this.spectators[id] ? id : this.players[id] && this.players[id].peerId;
+    if (ban) {
+      // The token outlives the peer id: a reloaded tab joins with it again
+      this.banned.add(id);
+      if (peerId) this.banned.add(peerId);
+      if (this.rejoinTokens.has(id)) this.banned.add(this.rejoinTokens.get(id));
+    }
+    const conn = peerId && this.connections.get(peerId);
+    if (conn) {
+      this.kickPeer(conn, ban ? 'banned by host' : 'kicked by host');
+    } else if (this.players[id]) {
+      this.dropPlayer(id); // disconnected - don't keep their slot
+    }
+  }
+
+  // Start game (host)
+  startGame() {
     if (!this.isHost) return;
+    if (Object.keys(this.players).length < 2) {
+      this.emit('error', { message: 'Need at least 2 players!' });
+      return;
+    }
+    if (this.rules.teams > 0 && countSides(this.players) < 2) {
+      this.emit('error', { message: 'Need at least 2 teams!' });
+      return;
+    }
+    const { ready, needed } = this.getReadyCount();
+    if (ready < needed) {
+      this.emit('error', { message: 'Waiting for everyone to ready up!' });
+      return;
+    }
 
-    startRound(this.players);
-    this.roundActive = true;
-    this.roundStartTime = Date.now();
-    this.matchWinner = null;
+    this.gameStarted = true;
+    // A fresh seed for each match, so rematches don't repeat the pickups
+    this.sim.reseed((Math.random() * 0x100000000) >>> 0);
+    // Record from the roster as it stands; the recorder sees every input from here on
+    this.recorder = new ReplayRecorder(this.sim, { roomCode: this.roomCode });
+    this.sim.startMatch();
+    this.syncFromSim();
 
-    // Start fixed-timestep physics loop
+    // Notify all clients - include initial countdown state
+    for (const [peerId, conn] of this.connections) {
+      if (conn.open) {
+        conn.send({ type: 'gameStart', rules: this.rules, map: this.map });
+      }
+    }
+
+    // Broadcast initial countdown immediately so clients see "3"
+    this.broadcastState();
+
+    this.emit('gameStart', {});
+
+    // The simulation runs countdown, rounds and intermissions on its own ticks
     this.startPhysicsLoop();
   }
 
+  // Copy the simulation's match state onto the fields the UI reads
+  syncFromSim() {
+    this.phase = this.sim.phase;
+    this.roundActive = this.sim.roundActive;
+    this.countdown = this.sim.countdown;
+    this.roundStartTime = this.sim.roundStartTime;
+    this.matchWinner = this.sim.matchWinner;
+    this.pickups = this.sim.pickups;
+    this.rules = this.sim.rules;
+    this.map = this.sim.map;
+  }
+
   // Start the fixed-timestep physics loop (decoupled from rendering)
   startPhysicsLoop() {
     // Clean up any existing intervals
     this.stopPhysicsLoop();
 
-    this.tickCounter = 0;
-    this.pendingStateUpdate = false;
+    this.loopStartedAt = Date.now();
+    this.loopTicks = 0;
 
-    // Physics at 60Hz
+    // Physics at 60Hz - catch up on ticks the timer missed so game time tracks wall time
     this.physicsInterval = setInterval(() => {
-      this.physicsTick();
+      const due = Math.floor((Date.now() - this.loopStartedAt) / PHYSICS_INTERVAL);
+      const steps = Math.min(due - this.loopTicks, MAX_CATCHUP_TICKS);
+      this.loopTicks = due;
+      for (let i = 0; i < steps && this.physicsInterval; i++) {
+        this.physicsTick();
+      }
     }, PHYSICS_INTERVAL);
 
     // Network at 10Hz (100ms) - decoupled from physics like slither.io
@@ -532,85 +1718,126 @@ class Network {
 
   // Single physics tick — runs at fixed 60Hz
   physicsTick() {
-    if (!this.isHost || !this.roundActive) {
+    if (!this.isHost || !this.sim || this.migration) {
       this.stopPhysicsLoop();
       return;
     }
 
-    const speed = getGameSpeed(this.roundStartTime);
+    if (this.bots.size > 0) this.driveBots();
+    const events = this.sim.step();
+    this.syncFromSim();
+    if (events.length > 0) this.handleSimEvents(events);
 
-    // Track who is alive before this tick
-    const wasAlive = {};
-    for (const id in this.players) {
-      wasAlive[id] = this.players[id].alive;
-    }
-
-    // Move all alive players
-    for (const id in this.players) {
-      const p = this.players[id];
-      if (p.alive) {
-        movePlayer(p, speed);
-      }
-    }
+    // Network broadcasting is handled by networkTick() at 10Hz,
+    // except for phase changes which go out immediately
+  }
 
-    // Check collisions (uses spatial grid internally)
-    checkCollisions(this.players);
+  handleSimEvents(events) {
+    let broadcastNow = false;
+    const gameEvents = [];
+
+    for (const ev of events) {
+      switch (ev.type) {
+        case 'countdown':
+          broadcastNow = true;
+          break;
+
+        case 'death': {
+          const killer = this.players[ev.cause] ? ev.cause : null;
+          gameEvents.push({ kind: 'death', id: ev.id, cause: ev.cause, killer, tick: ev.tick });
+          const p = this.players[ev.id];
+          if (p && p.lives <= 0) gameEvents.push({ kind: 'eliminated', id: ev.id, killer, tick: ev.tick });
+          break;
+        }
 
-    // Decrement lives for players who just died this tick
-    for (const id in this.players) {
-      if (wasAlive[id] && !this.players[id].alive) {
-        this.players[id].lives = Math.max(0, this.players[id].lives - 1);
+        case 'roundEnd':
+          if (ev.survivor) gameEvents.push({ kind: 'roundWon', id: ev.survivor, team: ev.team, tick: ev.tick });
+          this.broadcastPlayerList();
+          broadcastNow = true;
+          break;
+
+        case 'matchEnd':
+          if (ev.winner) gameEvents.push({ kind: 'matchWon', id: ev.winner, team: ev.team, tick: ev.tick });
+          this.stopPhysicsLoop();
+          if (this.recorder) {
+            this.lastReplay = this.recorder.finish(ev.winner);
+            this.recorder = null;
+            this.emit('replayReady', { replay: this.lastReplay });
+          }
+          break;
       }
     }
 
-    // Check round end: count players still alive
-    let aliveCount = 0;
-    for (const id in this.players) {
-      if (this.players[id].alive) aliveCount++;
+    if (gameEvents.length > 0) this.sendGameEvents(gameEvents);
+    if (broadcastNow) {
+      this.broadcastState();
     }
+  }
 
-    if (aliveCount <= 1) {
-      this.roundActive = false;
-      this.stopPhysicsLoop();
+  // ─── Game Events ──────────────────────────────────────────
+  // Discrete things that happened in the match - death (with cause and
+  // killer), eliminated, roundWon, matchWon - numbered in order and sent the
+  // moment they happen rather than left for clients to infer from states.
+  // Everyone, the host included, gets them as 'gameEvent'.
 
-      // Check match end: count players with lives remaining
-      let withLivesCount = 0;
-      let lastWithLivesId = null;
-      for (const id in this.players) {
-        if (this.players[id].lives > 0) {
-          withLivesCount++;
-          lastWithLivesId = id;
-        }
+  // Host: number, send and emit a tick's events
+  sendGameEvents(events) {
+    for (const ev of events) ev.seq = ++this.eventSeq;
+    for (const [peerId, conn] of this.connections) {
+      if (conn.open) {
+        conn.send({ type: 'gameEvents', events });
       }
+    }
+    for (const ev of events) this.emit('gameEvent', ev);
+  }
 
-      if (withLivesCount <= 1) {
-        // Match over - we have a winner
-        if (withLivesCount === 1) {
-          this.matchWinner = lastWithLivesId;
-        }
-        resetStaticSent();
-        this.broadcastPlayerList();
-        this.broadcastState();
-      } else {
-        // More rounds to play
-        resetStaticSent();
-        this.broadcastPlayerList();
-        this.broadcastState();
-
-        // Auto-restart after 3 seconds
-        setTimeout(() => {
-          if (this.gameStarted) {
-            this.countdown = 3;
-            resetStaticSent();
-            this.broadcastState();
-            this.runCountdown();
-          }
-        }, 3000);
-      }
+  // Client: emit events we haven't seen, in order. A new host after a
+  // migration carries on from the last number it saw.
+  receiveGameEvents(events) {
+    for (const ev of events) {
+      if (ev.seq <= this.eventSeq) continue;
+      this.eventSeq = ev.seq;
+      this.emit('gameEvent', ev);
     }
+  }
+
+  // ─── Room directory ───────────────────────────────────────
+  // With a directory (see directory.js) the host lists its room while it is
+  // public, checked on every heartbeat: right away when something in the
+  // listing changed, otherwise often enough that it doesn't expire.
+  // Password-protected rooms are never listed.
+
+  getListing() {
+    return {
+      code: this.roomCode,
+      name: this.playerName + "'S ROOM",
+      players: Object.keys(this.players).length,
+      maxPlayers: MAX_PLAYERS,
+      rules: describeRules(this.rules),
+      map: this.map ? this.map.name : null,
+      inProgress: this.gameStarted && this.phase !== 'matchOver'
+    };
+  }
 
-    // Network broadcasting is now handled by networkTick() at 10Hz
-    // Physics tick no longer broadcasts - fully decoupled
+  updateListing(now) {
+    if (!this.directory || !this.isHost || this.roomPassword) return;
+    const listing = this.getListing();
+    const json = JSON.stringify(listing);
+    if (json === this.listedAs && now - this.listedAt < LISTING_REFRESH) return;
+    this.listedAs = json;
+    this.listedAt = now;
+    this.directory.publish(listing).catch((err) => {
+      console.warn('Could not list room:', err.message);
+    });
+  }
+
+  // Take our room out of the directory (leaving, or the page is closing)
+  unlistRoom() {
+    if (!this.listedAs) return;
+    this.listedAs = null;
+    this.directory.unpublish(this.roomCode).catch((err) => {
+      console.warn('Could not unlist room:', err.message);
+    });
   }
 
   // Host game loop - now a no-op since physics runs on its own timer
@@ -619,12 +1846,12 @@ class Network {
     // This method is kept for backwards compatibility but does nothing
   }
 
-  // Generate a simple room code
+  // A random room code - also the host's id on the signaling server
   generateRoomCode() {
-    let code;
-    do {
-      code = Math.floor(1000 + Math.random() * 9000).toString();
-    } while (code.length < 4);
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+    }
     return code;
   }
 
@@ -633,16 +1860,61 @@ class Network {
     return this.players[this.myId];
   }
 
+  // Host: the last finished match, or what has been recorded of the current one
+  getReplay() {
+    if (this.recorder) return this.recorder.toJSON();
+    return this.lastReplay;
+  }
+
   // Disconnect
   disconnect() {
+    this.unlistRoom();
+    if (this.pendingJoin) {
+      clearTimeout(this.pendingJoin.timer);
+      this.pendingJoin = null;
+    }
     this.stopPhysicsLoop();
+    this.recorder = null;
     this.stopHeartbeat();
-    if (this.peer) {
-      this.peer.destroy();
+    if (this.migration) {
+      clearTimeout(this.migration.timer);
+      this.migration = null;
+    }
+    for (const timer of this.graceTimers.values()) clearTimeout(timer);
+    this.graceTimers.clear();
+    this.rejoinTokens.clear();
+    this.peerPlayers.clear();
+    this.protocols.clear();
+    this.guards.clear();
+    this.chatLimits.clear();
+    this.kicked.clear();
+    this.banned.clear();
+    this.baselines.clear();
+    this.bots.clear();
+    this.rejoinToken = null;
+    this.joined = false;
+    this.gameStarted = false;
+    // Clear the transport first so close handlers know this was on purpose
+    const transport = this.transport;
+    this.transport = null;
+    if (transport) transport.destroy();
+    if (this.roomTransport) {
+      this.roomTransport.destroy();
+      this.roomTransport = null;
     }
     this.connections.clear();
+    this.superseded.clear();
     this.lastSeenAt.clear();
+    this.links.clear();
+    this.sim = null;
     this.players = {};
+    this.pickups = [];
+    this.rules = DEFAULT_RULES;
+    this.map = null;
+    this.eventSeq = 0;
+    this.spectators = {};
+    this.spectating = false;
+    this.roomPassword = null;
   }
 }
 
@@ -0,0 +1,128 @@
+import {
+  EFFECT_BOOST, EFFECT_PHASE, EFFECT_SHIELD, eraseTrails, isCellBlocked
+} from './game.js';
+
+// Arena pickups.
+// The simulation spawns them during rounds from its seeded RNG, so replays
+// see the same pickups in the same places. Riding over one applies it at once:
+//   boost  - BOOST_FACTOR x speed for a few seconds
+//   phase  - pass through trails (walls still kill) for a couple of seconds
+//   shield - the next trail hit is absorbed instead of killing
+//   eraser - wipes every trail point near the rider, their own included
+
+export const POWERUP_KINDS = ['boost', 'phase', 'shield', 'eraser'];
+
+const BOOST_TICKS = 180;         // 3s at 60Hz
+const PHASE_TICKS = 120;         // 2s
+const ERASER_RADIUS = 90;        // px
+const PICKUP_RADIUS = 14;        // px between head and pickup centre to collect it
+const SPAWN_INTERVAL_TICKS = 240; // a new pickup every 4s...
+const MAX_PICKUPS = 3;            // ...while fewer than this are on the arena
+const SPAWN_MARGIN = 60;          // px kept clear of the walls
+const SPAWN_CLEARANCE = 80;       // px kept clear of every head
+const SPAWN_ATTEMPTS = 10;
+
+// Clear the arena for a new round or match
+export function resetPickups(sim) {
+  sim.pickups.length = 0;
+  sim.pickupTimer = SPAWN_INTERVAL_TICKS;
+}
+
+// One round tick: hand out what heads are touching, then spawn on schedule.
+// Returns the tick's `pickup` events.
+export function stepPickups(sim) {
+  const events = [];
+  for (const { id, kind } of collectPickups(sim)) {
+    events.push({ type: 'pickup', id, kind, tick: sim.tick });
+  }
+
+  // Anything a shrinking wall has passed is gone
+  const inset = sim.getArenaInset();
+  if (inset > 0) {
+    for (let i = sim.pickups.length - 1; i >= 0; i--) {
+      const { x, y } = sim.pickups[i];
+      if (x < inset || x > sim.grid.width - inset || y < inset || y > sim.grid.height - inset) sim.pickups.splice(i, 1);
+    }
+  }
+
+  if (--sim.pickupTimer <= 0) {
+    sim.pickupTimer = SPAWN_INTERVAL_TICKS;
+    if (sim.pickups.length < MAX_PICKUPS) spawnPickup(sim);
+  }
+  return events;
+}
+
+// Try to place a new pickup somewhere open. Returns it, or null if the
+// arena is too crowded this time.
+function spawnPickup(sim) {
+  const margin = sim.getArenaInset() + SPAWN_MARGIN;
+  for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+    const x = Math.round(margin + sim.random() * (sim.grid.width - 2 * margin));
+    const y = Math.round(margin + sim.random() * (sim.grid.height - 2 * margin));
+    const kind = POWERUP_KINDS[Math.floor(sim.random() * POWERUP_KINDS.length)];
+    if (isCellBlocked(x, y, sim.grid) || nearAnyHead(sim.players, x, y)) continue;
+
+    const pickup = { id: sim.nextPickupId, kind, x, y };
+    sim.nextPickupId = (sim.nextPickupId + 1) & 0xffff;
+    sim.pickups.push(pickup);
+    return pickup;
+  }
+  return null;
+}
+
+function nearAnyHead(players, x, y) {
+  for (const id in players) {
+    const p = players[id];
+    if (!p.alive) continue;
+    const dx = p.x - x;
+    const dy = p.y - y;
+    if (dx * dx + dy * dy < SPAWN_CLEARANCE * SPAWN_CLEARANCE) return true;
+  }
+  return false;
+}
+
+// Hand out every pickup a live head is touching. Returns [{ id, kind }].
+function collectPickups(sim) {
+  const collected = [];
+  for (const id in sim.players) {
+    const p = sim.players[id];
+    if (!p.alive) continue;
+
+    for (let i = sim.pickups.length - 1; i >= 0; i--) {
+      const pickup = sim.pickups[i];
+      const dx = p.x - pickup.x;
+      const dy = p.y - pickup.y;
+      if (dx * dx + dy * dy > PICKUP_RADIUS * PICKUP_RADIUS) continue;
+
+      sim.pickups.splice(i, 1);
+      applyPowerup(sim, p, pickup.kind);
+      collected.push({ id, kind: pickup.kind });
+    }
+  }
+  return collected;
+}
+
+function applyPowerup(sim, p, kind) {
+  switch (kind) {
+    case 'boost':
+      p.effects |= EFFECT_BOOST;
+      p.boostTicks = BOOST_TICKS;
+      break;
+    case 'phase':
+      p.effects |= EFFECT_PHASE;
+      p.phaseTicks = Math.max(p.phaseTicks, PHASE_TICKS);
+      break;
+    case 'shield':
+      p.effects |= EFFECT_SHIELD;
+      break;
+    case 'eraser':
+      eraseTrails(sim.players, p.x, p.y, ERASER_RADIUS, sim.grid);
+      break;
+  }
+}
+
+// Count down timed effects by one tick
+export function tickEffects(p) {
+  if (p.boostTicks > 0 && --p.boostTicks === 0) p.effects &= ~EFFECT_BOOST;
+  if (p.phaseTicks > 0 && --p.phaseTicks === 0) p.effects &= ~EFFECT_PHASE;
+}
@@ -0,0 +1,439 @@
+// Wire protocol shared by host and client.
+//
+// Version 1 sends plain message objects (PeerJS / the relay serialize them).
+// Version 2 packs the hot messages - state, input, ack, init and playerList - into
+// little-endian ArrayBuffer frames; everything else stays an object.
+//
+// The client lists the versions it speaks in `join` (always an object); the
+// host answers `init` in the highest version both sides support and keeps
+// using it for that connection.
+//
+// Frame layout (v2): u8 version, u8 message kind, then the body below.
+// Strings are u8 length + UTF-8 (u32 length for the rare long ones, like maps). Players in state frames are keyed by their
+// u8 slot (spawnIndex); slot -> id comes from static blocks and playerList,
+// tracked per connection in a codec context.
+
+import { POWERUP_KINDS } from './powerups.js';
+import { DEFAULT_RULES } from './game.js';
+import { RULE_KEYS } from './rules.js';
+
+export const PROTOCOL_JSON = 1;
+export const PROTOCOL_BINARY = 2;
+export const SUPPORTED_PROTOCOLS = [PROTOCOL_BINARY, PROTOCOL_JSON];
+
+const KIND_STATE = 1;
+const KIND_INPUT = 2;
+const KIND_INIT = 3;
+const KIND_PLAYER_LIST = 4;
+const KIND_ACK = 5;
+
+const PHASES = ['lobby', 'countdown', 'round', 'intermission', 'matchOver'];
+const RESUME_KINDS = [null, 'rejoin', 'migrate'];
+const BOT_KINDS = [null, 'easy', 'normal', 'hard'];
+
+// Player flags
+const PF_ALIVE = 1;
+const PF_STATIC = 2;
+const PF_TRAIL = 4;
+const PF_CONNECTED = 8;
+const PF_READY = 16;
+
+// Init flags
+const IF_GAME_STARTED = 1;
+const IF_SPECTATOR = 2;
+const IF_LOCKED = 4; // the room has a password
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Pick the highest version both sides speak. Peers that predate negotiation
+// don't send a list and only understand JSON.
+export function negotiateProtocol(offered) {
+  if (!Array.isArray(offered)) return PROTOCOL_JSON;
+  for (const v of SUPPORTED_PROTOCOLS) {
+    if (offered.indexOf(v) !== -1) return v;
+  }
+  return PROTOCOL_JSON;
+}
+
+// Per-connection decoding state (which player id sits in which slot)
+export function createCodecContext() {
+  return { slotIds: [] };
+}
+
+export function isBinaryFrame(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+// ─── Writer ──────────────────────────────────────────────────
+// One growable scratch buffer reused for every frame; each frame is copied
+// out with slice() so only the final payload is allocated.
+
+let scratch = new ArrayBuffer(16 * 1024);
+let view = new DataView(scratch);
+let bytes = new Uint8Array(scratch);
+let pos = 0;
+
+function ensure(n) {
+  if (pos + n <= scratch.byteLength) return;
+  let size = scratch.byteLength * 2;
+  while (size < pos + n) size *= 2;
+  const next = new ArrayBuffer(size);
+  new Uint8Array(next).set(bytes.subarray(0, pos));
+  scratch = next;
+  view = new DataView(scratch);
+  bytes = new Uint8Array(scratch);
+}
+
+function writeU8(v) { ensure(1); view.setUint8(pos, v); pos += 1; }
+function writeI8(v) { ensure(1); view.setInt8(pos, v); pos += 1; }
+function writeU16(v) { ensure(2); view.setUint16(pos, v, true); pos += 2; }
+function writeU32(v) { ensure(4); view.setUint32(pos, v, true); pos += 4; }
+function writeI16(v) { ensure(2); view.setInt16(pos, v, true); pos += 2; }
+function writeI32(v) { ensure(4); view.setInt32(pos, v, true); pos += 4; }
+function writeF64(v) { ensure(8); view.setFloat64(pos, v, true); pos += 8; }
+
+function writeStr(s) {
+  const encoded = textEncoder.encode(s || '');
+  const len = Math.min(encoded.length, 255);
+  writeU8(len);
+  ensure(len);
+  bytes.set(encoded.subarray(0, len), pos);
+  pos += len;
+}
+
+function writeLongStr(s) {
+  const encoded = textEncoder.encode(s || '');
+  writeU32(encoded.length);
+  ensure(encoded.length);
+  bytes.set(encoded, pos);
+  pos += encoded.length;
+}
+
+function beginFrame(kind) {
+  pos = 0;
+  writeU8(PROTOCOL_BINARY);
+  writeU8(kind);
+}
+
+function endFrame() {
+  return scratch.slice(0, pos);
+}
+
+// ─── Reader ──────────────────────────────────────────────────
+
+function createReader(data) {
+  const buf = data instanceof ArrayBuffer ? data : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  return { view: new DataView(buf), bytes: new Uint8Array(buf), pos: 0 };
+}
+
+function readU8(r) { const v = r.view.getUint8(r.pos); r.pos += 1; return v; }
+function readI8(r) { const v = r.view.getInt8(r.pos); r.pos += 1; return v; }
+function readU16(r) { const v = r.view.getUint16(r.pos, true); r.pos += 2; return v; }
+function readU32(r) { const v = r.view.getUint32(r.pos, true); r.pos += 4; return v; }
+function readI16(r) { const v = r.view.getInt16(r.pos, true); r.pos += 2; return v; }
+function readI32(r) { const v = r.view.getInt32(r.pos, true); r.pos += 4; return v; }
+function readF64(r) { const v = r.view.getFloat64(r.pos, true); r.pos += 8; return v; }
+
+function readLongStr(r) {
+  const len = readU32(r);
+  const s = textDecoder.decode(r.bytes.subarray(r.pos, r.pos + len));
+  r.pos += len;
+  return s;
+}
+
+function readTeam(r) {
+  const v = readU8(r);
+  return v === 0 ? null : v - 1;
+}
+
+function readStr(r) {
+  const len = readU8(r);
+  const s = textDecoder.decode(r.bytes.subarray(r.pos, r.pos + len));
+  r.pos += len;
+  return s;
+}
+
+// ─── State ───────────────────────────────────────────────────
+
+function writeStateBody(state, players) {
+  writeU8(state.ra ? 1 : 0);
+  writeI8(state.cd || 0);
+  writeF64(state.rst || 0);
+  writeF64(state.t || 0);
+  writeU32(state.sq || 0);
+  writeU8(Math.max(0, PHASES.indexOf(state.ph)));
+  writeStr(state.mw || '');
+
+  const ids = Object.keys(state.p);
+  writeU8(ids.length);
+  for (const id of ids) {
+    const ps = state.p[id];
+    const hasStatic = ps.n !== undefined;
+    const trail = ps.tr;
+    const slot = ps.si !== undefined ? ps.si : players[id].spawnIndex;
+
+    writeU8(slot);
+    writeU8((ps.al ? PF_ALIVE : 0) | (hasStatic ? PF_STATIC : 0) | (trail ? PF_TRAIL : 0));
+    if (hasStatic) {
+      writeStr(id);
+      writeStr(ps.n);
+      writeStr(ps.c);
+    }
+    writeI16(ps.x);
+    writeI16(ps.y);
+    writeI16(ps.a);
+    writeI8(ps.tu || 0);
+    writeU16(ps.tl);
+    writeU8(ps.te);
+    writeI32(ps.s || 0);
+    writeU8(ps.l || 0);
+    writeU8(ps.ef || 0);
+
+    if (trail) {
+      writeU32(ps.tb);
+      writeU16(trail.length / 2);
+      ensure(trail.length * 2);
+      for (let i = 0; i < trail.length; i++) {
+        view.setInt16(pos, trail[i], true);
+        pos += 2;
+      }
+    }
+  }
+
+  const pickups = state.pu || [];
+  writeU8(pickups.length);
+  for (const pk of pickups) {
+    writeU16(pk.i);
+    writeU8(Math.max(0, POWERUP_KINDS.indexOf(pk.k)));
+    writeI16(pk.x);
+    writeI16(pk.y);
+  }
+}
+
+function readStateBody(r, ctx) {
+  const state = {
+    p: {},
+    ra: readU8(r) === 1,
+    cd: readI8(r),
+    rst: readF64(r) || null,
+    t: readF64(r),
+    sq: readU32(r),
+    ph: PHASES[readU8(r)],
+    mw: readStr(r) || null
+  };
+
+  const count = readU8(r);
+  for (let k = 0; k < count; k++) {
+    const slot = readU8(r);
+    const flags = readU8(r);
+    const ps = {};
+
+    if (flags & PF_STATIC) {
+      const id = readStr(r);
+      ctx.slotIds[slot] = id;
+      ps.id = id;
+      ps.n = readStr(r);
+      ps.c = readStr(r);
+      ps.si = slot;
+    }
+    ps.x = readI16(r);
+    ps.y = readI16(r);
+    ps.a = readI16(r);
+    ps.tu = readI8(r);
+    ps.tl = readU16(r);
+    ps.te = readU8(r);
+    ps.s = readI32(r);
+    ps.l = readU8(r);
+    ps.ef = readU8(r);
+    ps.al = (flags & PF_ALIVE) !== 0;
+
+    if (flags & PF_TRAIL) {
+      ps.tb = readU32(r);
+      const n = readU16(r) * 2;
+      const tr = new Int16Array(n);
+      for (let i = 0; i < n; i++) tr[i] = readI16(r);
+      ps.tr = tr;
+    }
+
+    const id = ctx.slotIds[slot];
+    if (id === undefined) {
+      // Never saw this slot's static block - the caller should ask for a snapshot
+      state.unknownSlots = true;
+      continue;
+    }
+    state.p[id] = ps;
+  }
+
+  state.pu = [];
+  const pickupCount = readU8(r);
+  for (let k = 0; k < pickupCount; k++) {
+    state.pu.push({ i: readU16(r), k: POWERUP_KINDS[readU8(r)], x: readI16(r), y: readI16(r) });
+  }
+  return state;
+}
+
+// ─── Messages ────────────────────────────────────────────────
+
+// Encode `msg` for a connection speaking `version`. `players` is the host's
+// player map (state frames need each player's slot).
+export function encodeMessage(msg, version, players) {
+  if (version !== PROTOCOL_BINARY) return toJsonMessage(msg);
+
+  switch (msg.type) {
+    case 'state':
+      beginFrame(KIND_STATE);
+      writeStateBody(msg.state, players);
+      return endFrame();
+
+    case 'input':
+      beginFrame(KIND_INPUT);
+      writeI8(msg.update.turning);
+      return endFrame();
+
+    case 'ack':
+      beginFrame(KIND_ACK);
+      writeU32(msg.sq);
+      return endFrame();
+
+    case 'init':
+      beginFrame(KIND_INIT);
+      writeStr(msg.playerId);
+      writeStr(msg.hostId);
+      writeStr(msg.token);
+      writeU8(Math.max(0, RESUME_KINDS.indexOf(msg.resume || null)));
+      writeU8((msg.gameStarted ? IF_GAME_STARTED : 0) | (msg.spectator ? IF_SPECTATOR : 0) | (msg.locked ? IF_LOCKED : 0));
+      // Rules as f64s in RULE_KEYS order - sent once, and the simulation needs them exact
+      for (const key of RULE_KEYS) writeF64((msg.rules || DEFAULT_RULES)[key]);
+      writeLongStr(msg.map ? JSON.stringify(msg.map) : ''); // '' = open arena
+      writeStateBody(msg.state, players);
+      return endFrame();
+
+    case 'playerList': {
+      beginFrame(KIND_PLAYER_LIST);
+      const ids = Object.keys(msg.players);
+      writeU8(ids.length);
+      for (const id of ids) {
+        const ps = msg.players[id];
+        writeStr(id);
+        writeU8(ps.slot);
+        writeStr(ps.name);
+        writeStr(ps.color);
+        writeI32(ps.score || 0);
+        writeU8(ps.lives || 0);
+        writeU8((ps.alive ? PF_ALIVE : 0) | (ps.connected ? PF_CONNECTED : 0) | (ps.ready ? PF_READY : 0));
+        writeU16(ps.order || 0);
+        writeStr(ps.peer);
+        writeU8(Math.max(0, BOT_KINDS.indexOf(ps.bot || null)));
+        writeU8(ps.team !== null && ps.team !== undefined ? ps.team + 1 : 0); // 0 = no team
+        writeU8(ps.colorIndex || 0);
+      }
+      // Spectators follow the players: id and name only
+      const spectatorIds = Object.keys(msg.spectators || {});
+      writeU8(spectatorIds.length);
+      for (const id of spectatorIds) {
+        writeStr(id);
+        writeStr(msg.spectators[id].name);
+      }
+      return endFrame();
+    }
+
+    default:
+      return msg;
+  }
+}
+
+// JSON protocol: typed arrays don't survive JSON, so trails become plain arrays
+function toJsonMessage(msg) {
+  if (!msg.state || !msg.state.p) return msg;
+  const p = {};
+  for (const id in msg.state.p) {
+    const ps = msg.state.p[id];
+    p[id] = ps.tr ? Object.assign({}, ps, { tr: Array.from(ps.tr) }) : ps;
+  }
+  return Object.assign({}, msg, { state: Object.assign({}, msg.state, { p }) });
+}
+
+// Decode whatever arrived on a connection back into a message object
+export function decodeMessage(data, ctx) {
+  if (!isBinaryFrame(data)) return data;
+
+  const r = createReader(data);
+  const version = readU8(r);
+  if (version !== PROTOCOL_BINARY) {
+    throw new Error('Unsupported protocol version ' + version);
+  }
+
+  switch (readU8(r)) {
+    case KIND_STATE:
+      return { type: 'state', state: readStateBody(r, ctx) };
+
+    case KIND_INPUT:
+      return { type: 'input', update: { turning: readI8(r) } };
+
+    case KIND_ACK:
+      return { type: 'ack', sq: readU32(r) };
+
+    case KIND_INIT: {
+      const msg = {
+        type: 'init',
+        playerId: readStr(r),
+        hostId: readStr(r),
+        token: readStr(r),
+        resume: RESUME_KINDS[readU8(r)],
+        protocol: PROTOCOL_BINARY
+      };
+      const flags = readU8(r);
+      msg.gameStarted = (flags & IF_GAME_STARTED) !== 0;
+      msg.spectator = (flags & IF_SPECTATOR) !== 0;
+      msg.locked = (flags & IF_LOCKED) !== 0;
+      msg.rules = {};
+      for (const key of RULE_KEYS) msg.rules[key] = readF64(r);
+      const map = readLongStr(r);
+      msg.map = map ? JSON.parse(map) : null;
+      msg.state = readStateBody(r, ctx);
+      return msg;
+    }
+
+    case KIND_PLAYER_LIST: {
+      const players = {};
+      const count = readU8(r);
+      for (let k = 0; k < count; k++) {
+        const id = readStr(r);
+        const slot = readU8(r);
+        ctx.slotIds[slot] = id;
+        const name = readStr(r);
+        const color = readStr(r);
+        const score = readI32(r);
+        const lives = readU8(r);
+        const flags = readU8(r);
+        players[id] = {
+          id,
+          slot,
+          name,
+          color,
+          score,
+          lives,
+          alive: (flags & PF_ALIVE) !== 0,
+          connected: (flags & PF_CONNECTED) !== 0,
+          ready: (flags & PF_READY) !== 0,
+          order: readU16(r),
+          peer: readStr(r),
+          bot: BOT_KINDS[readU8(r)] || null,
+          team: readTeam(r),
+          colorIndex: readU8(r)
+        };
+      }
+      const spectators = {};
+      const spectatorCount = readU8(r);
+      for (let k = 0; k < spectatorCount; k++) {
+        const id = readStr(r);
+        spectators[id] = { id, name: readStr(r) };
+      }
+      return { type: 'playerList', players, spectators };
+    }
+
+    default:
+      throw new Error('Unknown message kind');
+  }
+}
@@ -0,0 +1,306 @@
+import { GameSimulation, TICK_RATE, TICK_MS } from './simulation.js';
+import { parseMap } from './maps.js';
+import { MAX_PLAYERS, isColorIndex } from './game.js';
+import { MAX_TEAMS } from './teams.js';
+import { sanitizeName } from './validation.js';
+
+// Match replays.
+// GameSimulation is deterministic, so a replay is just what went into it: the
+// match's seed, the roster with each player's slot, and every roster change and
+// turning input stamped with the tick it happened before. Playing it back
+// re-runs a fresh simulation over the same log.
+//
+// File format (JSON):
+//   { format: 'tron-replay', version, recordedAt, roomCode, seed, tickRate, rules, map,
+//     startTick, endTick, players: [{ id, name, slot, team }],
+//     events: [[tick, kind, playerIndex, value?]], result: { winner, lives, scores } }
+// `players` lists everyone who took part, in the simulation's order; event
+// kinds are 't' (turning), 'j' (joined mid-match) and 'l' (left). Replays
+// without `rules` were recorded before rules could change and use the defaults;
+// without `map`, in the open arena.
+// Replay files get shared, so parseReplay checks every field before any of it
+// reaches the simulation or the page.
+
+export const REPLAY_FORMAT = 'tron-replay';
+export const REPLAY_VERSION = 1;
+
+const EV_TURN = 't';
+const EV_JOIN = 'j';
+const EV_LEAVE = 'l';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const MAX_TICKS_PER_UPDATE = TICK_RATE; // after a stall (background tab) skip at most a second
+export const MAX_REPLAY_TICKS = 60 * 60 * TICK_RATE; // an hour - loading simulates the whole match once
+const MAX_REPLAY_PLAYERS = 64;   // everyone who ever took part, leavers included
+const MAX_REPLAY_EVENTS = 500000;
+const MAX_ID_LENGTH = 64;
+const EVENT_KINDS = [EV_TURN, EV_JOIN, EV_LEAVE];
+
+// ─── Recording (host) ────────────────────────────────────────
+
+export class ReplayRecorder {
+  // Attach before sim.startMatch() so the roster is captured as the match starts
+  constructor(sim, meta = {}) {
+    this.sim = sim;
+    this.seed = sim.seed; // startMatch restarts the RNG from it
+    this.roomCode = meta.roomCode || null;
+    this.recordedAt = new Date().toISOString();
+    this.startTick = sim.tick;
+    this.endTick = null;
+    this.result = null;
+    this.players = [];
+    this.playerIndex = new Map(); // id -> index into this.players
+    this.events = [];
+
+    for (const id in sim.players) this.addEntry(sim.players[id]);
+    sim.recorder = this;
+  }
+
+  addEntry(p) {
+    this.playerIndex.set(p.id, this.players.length);
+    this.players.push({ id: p.id, name: p.name, slot: p.spawnIndex, team: p.team, color: p.colorIndex });
+  }
+
+  playerAdded(p, tick) {
+    this.addEntry(p);
+    this.events.push([tick, EV_JOIN, this.playerIndex.get(p.id)]);
+  }
+
+  playerRemoved(id, tick) {
+    this.events.push([tick, EV_LEAVE, this.playerIndex.get(id)]);
+  }
+
+  input(id, turning, tick) {
+    this.events.push([tick, EV_TURN, this.playerIndex.get(id), turning]);
+  }
+
+  // Stop recording; returns the finished replay
+  finish(winner) {
+    if (this.sim.recorder === this) this.sim.recorder = null;
+    this.endTick = this.sim.tick;
+
+    const lives = {};
+    const scores = {};
+    for (const id in this.sim.players) {
+      lives[id] = this.sim.players[id].lives;
+      scores[id] = this.sim.players[id].score;
+    }
+    this.result = { winner: winner || null, lives, scores };
+    return this.toJSON();
+  }
+
+  toJSON() {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: this.recordedAt,
+      roomCode: this.roomCode,
+      seed: this.seed,
+      tickRate: TICK_RATE,
+      rules: this.sim.rules,
+      map: this.sim.map,
+      startTick: this.startTick,
+      endTick: this.endTick !== null ? this.endTick : this.sim.tick,
+      players: this.players,
+      events: this.events,
+      result: this.result
+    };
+  }
+}
+
+// Errors carry a `type`: 'not-replay', 'version', 'tick-rate', 'damaged' or 'too-long'
+function replayError(type, message) {
+  const err = new Error(message);
+  err.type = type;
+  return err;
+}
+
+function damaged(what) {
+  return replayError('damaged', 'Replay file is damaged (' + what + ')');
+}
+
+function readPlayer(entry, ids) {
+  if (entry === null || typeof entry !== 'object') throw damaged('player');
+  const { id, slot, team, color } = entry;
+  if (typeof id !== 'string' || id.length === 0 || id.length > MAX_ID_LENGTH || ids.has(id)) throw damaged('player id');
+  if (!Number.isInteger(slot) || slot < 0 || slot >= MAX_PLAYERS) throw damaged('player slot');
+  if (team !== null && team !== undefined && !(Number.isInteger(team) && team >= 0 && team < MAX_TEAMS)) throw damaged('player team');
+  if (color !== undefined && !isColorIndex(color)) throw damaged('player color');
+  ids.add(id);
+  return { id, name: sanitizeName(entry.name), slot, team: team === undefined ? null : team, color };
+}
+
+function checkEvent(ev, replay, lastTick) {
+  if (!Array.isArray(ev)) throw damaged('event');
+  const [tick, kind, index, value] = ev;
+  if (!Number.isInteger(tick) || tick < lastTick || tick > replay.endTick) throw damaged('event tick');
+  if (!EVENT_KINDS.includes(kind)) throw damaged('event kind');
+  if (!Number.isInteger(index) || index < 0 || index >= replay.players.length) throw damaged('event player');
+  if (kind === EV_TURN && value !== -1 && value !== 0 && value !== 1) throw damaged('turning value');
+  return tick;
+}
+
+// Parse and check a replay file's contents. Throws a typed error on anything
+// we can't play; what it returns only holds checked values.
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (e) {
+    throw replayError('not-replay', 'Not a replay file');
+  }
+
+  if (!replay || replay.format !== REPLAY_FORMAT) throw replayError('not-replay', 'Not a replay file');
+  if (replay.version !== REPLAY_VERSION) throw replayError('version', 'Unsupported replay version');
+  if (replay.tickRate !== TICK_RATE) throw replayError('tick-rate', 'Replay was recorded at a different tick rate');
+  const { startTick, endTick } = replay;
+  if (!Number.isInteger(startTick) || !Number.isInteger(endTick) || startTick < 0 || endTick < startTick) {
+    throw damaged('ticks');
+  }
+  if (endTick - startTick > MAX_REPLAY_TICKS) throw replayError('too-long', 'Replay is too long to play');
+  if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xffffffff) throw damaged('seed');
+  if (!Array.isArray(replay.players) || replay.players.length > MAX_REPLAY_PLAYERS) throw damaged('players');
+  if (!Array.isArray(replay.events) || replay.events.length > MAX_REPLAY_EVENTS) throw damaged('events');
+  if (replay.rules !== undefined && (replay.rules === null || typeof replay.rules !== 'object')) throw damaged('rules');
+
+  const ids = new Set();
+  const players = replay.players.map((entry) => readPlayer(entry, ids));
+  let lastTick = startTick;
+  for (const ev of replay.events) lastTick = checkEvent(ev, { endTick, players }, lastTick);
+
+  let map;
+  try {
+    map = parseMap(replay.map || null);
+  } catch (e) {
+    throw damaged('map');
+  }
+
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    recordedAt: typeof replay.recordedAt === 'string' ? replay.recordedAt.slice(0, 40) : null,
+    roomCode: typeof replay.roomCode === 'string' ? replay.roomCode.replace(/[^A-Z0-9]/g, '').slice(0, 12) : null,
+    seed: replay.seed,
+    tickRate: TICK_RATE,
+    rules: replay.rules,
+    map,
+    startTick,
+    endTick,
+    players,
+    events: replay.events,
+    result: null // only the recorder's summary - playback recomputes everything
+  };
+}
+
+export function replayFileName(replay) {
+  const stamp = (replay.recordedAt || '').replace(/[:.]/g, '-').slice(0, 19);
+  return 'tron-' + (replay.roomCode || 'match') + '-' + stamp + '.tronreplay.json';
+}
+
+// ─── Playback ────────────────────────────────────────────────
+
+// Re-runs a recorded match. Exposes the same fields the renderer reads from
+// Network (players, roundActive, countdown, roundStartTime, matchWinner,
+// phase, pickups, rules, map), so the canvas can draw either one.
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.length = replay.endTick - replay.startTick; // ticks
+    this.speed = 1;
+    this.paused = false;
+    this.carry = 0; // ms not yet turned into a whole tick
+
+    // Players who arrive mid-match are added by their join event instead
+    this.lateJoiners = new Set();
+    for (const ev of replay.events) {
+      if (ev[1] === EV_JOIN) this.lateJoiners.add(ev[2]);
+    }
+
+    // One pass up front to find where rounds start and players die, so the
+    // viewer can jump straight to them
+    this.markers = [];
+    this.reset();
+    while (this.sim.tick < replay.endTick) {
+      for (const ev of this.step()) {
+        if (ev.type === 'death' || ev.type === 'roundStart') {
+          this.markers.push({ type: ev.type, id: ev.id, tick: ev.tick - replay.startTick });
+        }
+      }
+    }
+    this.reset();
+  }
+
+  reset() {
+    const replay = this.replay;
+    this.sim = new GameSimulation({ seed: replay.seed, rules: replay.rules, map: replay.map });
+    this.sim.tick = replay.startTick;
+    this.nextEvent = 0;
+
+    replay.players.forEach((entry, index) => {
+      if (this.lateJoiners.has(index)) return;
+      this.sim.addPlayer(entry.id, entry.name, entry.slot, entry.color);
+      if (entry.team !== null && entry.team !== undefined) this.sim.setTeam(entry.id, entry.team);
+    });
+    this.sim.startMatch();
+  }
+
+  // Apply everything logged for the current tick, then advance one tick
+  step() {
+    const replay = this.replay;
+    const events = replay.events;
+    while (this.nextEvent < events.length && events[this.nextEvent][0] <= this.sim.tick) {
+      const [, kind, index, value] = events[this.nextEvent++];
+      const entry = replay.players[index];
+      if (!entry) continue;
+      if (kind === EV_TURN) this.sim.setInput(entry.id, value);
+      else if (kind === EV_JOIN) this.sim.addPlayer(entry.id, entry.name, entry.slot, entry.color);
+      else if (kind === EV_LEAVE) this.sim.removePlayer(entry.id);
+    }
+    return this.sim.step();
+  }
+
+  // Ticks since the match started
+  get tick() {
+    return this.sim.tick - this.replay.startTick;
+  }
+
+  get ended() {
+    return this.sim.tick >= this.replay.endTick;
+  }
+
+  // Jump to `tick` (clamped). Going backwards re-runs from the start.
+  // Returns true when it rewound, so cached trail drawings must be dropped.
+  seek(tick) {
+    const target = this.replay.startTick + Math.max(0, Math.min(this.length, tick | 0));
+    const rewound = target < this.sim.tick;
+    if (rewound) this.reset();
+    while (this.sim.tick < target) this.step();
+    this.carry = 0;
+    return rewound;
+  }
+
+  // Advance by `ms` of wall time at the current speed
+  update(ms) {
+    if (this.paused || this.ended) return;
+    this.carry += ms * this.speed;
+    let ticks = Math.floor(this.carry / TICK_MS);
+    this.carry -= ticks * TICK_MS;
+    if (ticks > MAX_TICKS_PER_UPDATE) ticks = MAX_TICKS_PER_UPDATE;
+    while (ticks-- > 0 && !this.ended) this.step();
+  }
+
+  get players() { return this.sim.players; }
+  get roundActive() { return this.sim.roundActive; }
+  get countdown() { return this.sim.countdown; }
+  get roundStartTime() { return this.sim.roundStartTime; }
+  get matchWinner() { return this.sim.matchWinner; }
+  get phase() { return this.sim.phase; }
+  get pickups() { return this.sim.pickups; }
+  get rules() { return this.sim.rules; }
+  get map() { return this.sim.map; }
+
+  // Seconds into the current round, from simulated time
+  get roundElapsed() {
+    return this.sim.roundActive ? (this.sim.tick - this.sim.roundStartTick) / TICK_RATE : 0;
+  }
+}
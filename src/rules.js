@@ -0,0 +1,68 @@
+import { DEFAULT_RULES } from './game.js';
+import { MAX_TEAMS } from './teams.js';
+
+// Match rules.
+// DEFAULT_RULES in game.js are the classic settings; a host can change any of
+// them in the lobby. The host's simulation runs on its ruleset, which travels
+// to clients in `init`, `gameStart` and `rules` messages and into replays.
+
+// Field order on the wire (binary init frames)
+export const RULE_KEYS = Object.keys(DEFAULT_RULES);
+
+// Editable range for each rule. Arena sides stay small enough for the wire's
+// 16-bit ×10 positions; trails for the spatial grid's 16-bit trail positions.
+export const RULE_LIMITS = {
+  lives: { min: 1, max: 20, step: 1 },
+  baseSpeed: { min: 1, max: 8, step: 0.5 },
+  speedIncrement: { min: 0, max: 3, step: 0.25 },
+  speedInterval: { min: 2, max: 60, step: 1 },
+  maxSpeed: { min: 1, max: 15, step: 0.5 },
+  turnSpeed: { min: 0.02, max: 0.12, step: 0.005 },
+  trailMax: { min: 100, max: 2000, step: 50 },
+  arenaWidth: { min: 800, max: 3000, step: 50 },
+  arenaHeight: { min: 500, max: 2000, step: 50 },
+  teams: { min: 0, max: MAX_TEAMS, step: 1 },
+  teamCollisions: { min: 0, max: 1, step: 1 },
+  shrinkStart: { min: 0, max: 120, step: 5 },
+  shrinkInterval: { min: 5, max: 60, step: 1 },
+  shrinkStep: { min: 10, max: 200, step: 10 },
+  shrinkMin: { min: 100, max: 1000, step: 50 },
+  wrap: { min: 0, max: 1, step: 1 }
+};
+
+export const BUILTIN_PRESETS = {
+  Classic: DEFAULT_RULES,
+  'Sudden Death': Object.assign({}, DEFAULT_RULES, { lives: 1 }),
+  Blitz: Object.assign({}, DEFAULT_RULES, { lives: 3, baseSpeed: 4, speedInterval: 5, maxSpeed: 10, turnSpeed: 0.06 }),
+  'Long Trails': Object.assign({}, DEFAULT_RULES, { trailMax: 1500, speedIncrement: 0.25 }),
+  'Big Arena': Object.assign({}, DEFAULT_RULES, { arenaWidth: 2100, arenaHeight: 1350, trailMax: 900 }),
+  Teams: Object.assign({}, DEFAULT_RULES, { teams: 2, teamCollisions: 0 }),
+  'Battle Royale': Object.assign({}, DEFAULT_RULES, { lives: 3, shrinkStart: 15, shrinkInterval: 8, shrinkStep: 60 })
+};
+
+// A complete, in-range ruleset from whatever we were given (missing or bad
+// fields fall back to the defaults). Whole-number rules are rounded.
+export function normalizeRules(rules) {
+  const clean = {};
+  for (const key of RULE_KEYS) {
+    const { min, max } = RULE_LIMITS[key];
+    let v = rules && typeof rules[key] === 'number' && isFinite(rules[key]) ? rules[key] : DEFAULT_RULES[key];
+    if (Number.isInteger(DEFAULT_RULES[key])) v = Math.round(v);
+    clean[key] = Math.min(max, Math.max(min, v));
+  }
+  clean.maxSpeed = Math.max(clean.maxSpeed, clean.baseSpeed);
+  if (clean.teams === 1) clean.teams = 0; // one team is everyone
+  return clean;
+}
+
+export function sameRules(a, b) {
+  return RULE_KEYS.every((key) => a[key] === b[key]);
+}
+
+// "6 LIVES · LAST ONE STANDING", "2 TEAMS · 6 LIVES · LAST TEAM STANDING · SHRINKING ARENA"
+export function describeRules(rules) {
+  const lives = rules.lives + (rules.lives === 1 ? ' LIFE' : ' LIVES');
+  const extras = (rules.wrap ? ' · WRAP-AROUND' : '') + (rules.shrinkStart > 0 ? ' · SHRINKING ARENA' : '');
+  if (rules.teams > 0) return rules.teams + ' TEAMS · ' + lives + ' · LAST TEAM STANDING' + extras;
+  return lives + ' · LAST ONE STANDING' + extras;
+}
@@ -0,0 +1,390 @@
+import {
+  createPlayer, createSpatialGrid, movePlayer, checkCollisions, startRound, getSpeedForElapsed, getArenaInset, resizeTrail,
+  isColorIndex, COLORS, EFFECT_BOOST, EFFECT_PHASE, BOOST_FACTOR, SHIELD_GRACE_TICKS
+} from './game.js';
+import { resetPickups, stepPickups, tickEffects } from './powerups.js';
+import { normalizeRules } from './rules.js';
+import { fitRulesToMap } from './maps.js';
+import { assignTeams, colorFor, smallestTeam, sideOf, teamOf } from './teams.js';
+
+// Headless, deterministic match simulation.
+// No timers, sockets or Date.now() - time only advances through step(), so the
+// same roster, seed and input log always produce the same match in Node or the
+// browser. Network drives it at 60Hz on the host.
+
+export const TICK_RATE = 60;
+export const TICK_MS = 1000 / TICK_RATE;
+const COUNTDOWN_FROM = 3;
+const INTERMISSION_TICKS = 3 * TICK_RATE; // pause between rounds
+
+// Scoring
+const KILL_POINTS = 100;      // to the owner of the trail someone died on
+const OUTLIVE_POINTS = 25;    // to everyone still riding when an opponent dies
+const ROUND_WIN_POINTS = 50;  // to each player on the side that's left
+
+// Mulberry32 - small, fast, seedable PRNG returning floats in [0, 1)
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class GameSimulation {
+  // options.seed:  RNG seed (any 32-bit integer)
+  // options.clock: () => ms, only used to stamp roundStartTime for clients' HUDs.
+  //                Defaults to simulated time so headless runs are fully reproducible.
+  // options.rules: match rules (see rules.js); missing fields use the defaults
+  // options.map:   arena map, already checked by parseMap (see maps.js); null for the open arena
+  constructor(options = {}) {
+    this.seed = options.seed !== undefined ? options.seed >>> 0 : 1;
+    this.random = createRng(this.seed);
+    this.clock = options.clock || (() => this.tick * TICK_MS);
+    this.map = options.map || null;
+    this.rules = fitRulesToMap(normalizeRules(options.rules), this.map);
+    this.grid = this.createGrid();
+
+    this.players = {};
+    this.tick = 0;
+    this.phase = 'lobby'; // lobby | countdown | round | intermission | matchOver
+    this.phaseTicks = 0;  // ticks left in the current countdown step / intermission
+    this.roundActive = false;
+    this.countdown = 0;
+    this.roundStartTick = 0;
+    this.roundStartTime = null;
+    this.matchWinner = null;
+    this.recorder = null; // ReplayRecorder - sees every roster change and input
+    this.pickups = [];     // { id, kind, x, y } on the arena this round
+    this.nextPickupId = 0;
+    this.pickupTimer = 0;  // ticks until the next spawn attempt
+  }
+
+  // Add a player using the lowest free slot (slot picks color and spawn).
+  // `slot` pins it instead - replays restore the recorded one.
+  addPlayer(id, name, slot, colorIndex) {
+    if (slot === undefined) {
+      const used = new Set();
+      for (const pid in this.players) used.add(this.players[pid].spawnIndex);
+      slot = 0;
+      while (used.has(slot)) slot++;
+    }
+
+    const p = createPlayer(id, slot, name, this.rules);
+    // The slot's own color unless somebody already picked it
+    p.colorIndex = isColorIndex(colorIndex) ? colorIndex : this.freeColor(p.colorIndex);
+    if (this.rules.teams > 0) p.team = smallestTeam(this.players, this.rules.teams);
+    p.color = colorFor(p);
+    // Anyone arriving mid-match sits out until the next match
+    if (this.phase !== 'lobby' && this.phase !== 'matchOver') p.alive = false;
+    this.players[id] = p;
+    if (this.recorder) this.recorder.playerAdded(p, this.tick);
+    return p;
+  }
+
+  removePlayer(id) {
+    if (this.recorder && this.players[id]) this.recorder.playerRemoved(id, this.tick);
+    delete this.players[id];
+    this.grid.dirty = true;
+  }
+
+  createGrid() {
+    return createSpatialGrid(this.rules.arenaWidth, this.rules.arenaHeight, this.rules.trailMax, this.map, this.rules.wrap !== 0);
+  }
+
+  // Switch rules between matches. Returns false while a match is running.
+  // A map's arena size wins over the rules'.
+  setRules(rules) {
+    if (this.phase !== 'lobby' && this.phase !== 'matchOver') return false;
+
+    const teamsBefore = this.rules.teams;
+    this.rules = fitRulesToMap(normalizeRules(rules), this.map);
+    this.grid = this.createGrid();
+    this.pickups.length = 0;
+    if (this.rules.teams !== teamsBefore) assignTeams(this.players, this.rules.teams);
+    for (const id in this.players) {
+      const p = this.players[id];
+      resizeTrail(p, this.rules.trailMax);
+      // Leave a finished match's lives on the results screen
+      if (this.phase === 'lobby') p.lives = this.rules.lives;
+    }
+    return true;
+  }
+
+  // Switch maps between matches (null for the open arena). Returns false
+  // while a match is running.
+  setMap(map) {
+    if (this.phase !== 'lobby' && this.phase !== 'matchOver') return false;
+    this.map = map || null;
+    this.rules = fitRulesToMap(this.rules, this.map);
+    this.grid = this.createGrid();
+    this.pickups.length = 0;
+    return true;
+  }
+
+  // Move a player to another team between matches. Returns false if it can't.
+  setTeam(id, team) {
+    const p = this.players[id];
+    if (!p || (this.phase !== 'lobby' && this.phase !== 'matchOver')) return false;
+    if (!Number.isInteger(team) || team < 0 || team >= this.rules.teams) return false;
+    p.team = team;
+    p.color = colorFor(p);
+    return true;
+  }
+
+  // First color nobody has, starting from `preferred`
+  freeColor(preferred) {
+    const taken = new Set();
+    for (const pid in this.players) taken.add(this.players[pid].colorIndex);
+    for (let i = 0; i < COLORS.length; i++) {
+      const index = (preferred + i) % COLORS.length;
+      if (!taken.has(index)) return index;
+    }
+    return preferred;
+  }
+
+  // Give a player another color, between matches. False if it's taken.
+  setColor(id, colorIndex) {
+    const p = this.players[id];
+    if (!p || (this.phase !== 'lobby' && this.phase !== 'matchOver') || !isColorIndex(colorIndex)) return false;
+    for (const pid in this.players) {
+      if (pid !== id && this.players[pid].colorIndex === colorIndex) return false;
+    }
+    p.colorIndex = colorIndex;
+    p.color = colorFor(p);
+    return true;
+  }
+
+  setInput(id, turning) {
+    const p = this.players[id];
+    if (!p || p.turning === turning) return;
+    p.turning = turning;
+    if (this.recorder) this.recorder.input(id, turning, this.tick);
+  }
+
+  // Start the RNG over from `seed`
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    this.random = createRng(this.seed);
+  }
+
+  // Reset lives and scores and begin the countdown for a new match. The RNG
+  // starts over from `seed` (by default the current one), so a match plays out
+  // the same whatever the room played before it.
+  startMatch(seed = this.seed) {
+    this.reseed(seed);
+    resetPickups(this);
+    this.nextPickupId = 0;
+    for (const id in this.players) {
+      this.players[id].lives = this.rules.lives;
+      this.players[id].score = 0;
+    }
+    this.matchWinner = null;
+    return this.beginCountdown();
+  }
+
+  beginCountdown() {
+    this.phase = 'countdown';
+    this.roundActive = false;
+    this.countdown = COUNTDOWN_FROM;
+    this.phaseTicks = TICK_RATE;
+    return [{ type: 'countdown', value: this.countdown, tick: this.tick }];
+  }
+
+  beginRound() {
+    startRound(this.players, this.grid);
+    resetPickups(this);
+    this.phase = 'round';
+    this.roundActive = true;
+    this.roundStartTick = this.tick;
+    this.roundStartTime = this.clock();
+    this.matchWinner = null;
+    return { type: 'roundStart', tick: this.tick };
+  }
+
+  // Current speed, from ticks elapsed in this round
+  getSpeed() {
+    if (!this.roundActive) return getSpeedForElapsed(0, this.rules);
+    return getSpeedForElapsed((this.tick - this.roundStartTick) / TICK_RATE, this.rules);
+  }
+
+  // How far the walls have closed in this round
+  getArenaInset() {
+    if (!this.roundActive) return 0;
+    return getArenaInset((this.tick - this.roundStartTick) / TICK_RATE, this.rules);
+  }
+
+  // Advance one fixed tick. `inputs` maps player id -> turning (-1, 0, 1) and is
+  // applied before moving. Returns the events that happened during the tick.
+  step(inputs) {
+    if (inputs) {
+      for (const id in inputs) this.setInput(id, inputs[id]);
+    }
+
+    this.tick++;
+    const events = [];
+
+    switch (this.phase) {
+      case 'countdown':
+        if (--this.phaseTicks <= 0) {
+          this.countdown--;
+          this.phaseTicks = TICK_RATE;
+          events.push({ type: 'countdown', value: this.countdown, tick: this.tick });
+          if (this.countdown <= 0) events.push(this.beginRound());
+        }
+        break;
+
+      case 'round':
+        this.stepRound(events);
+        break;
+
+      case 'intermission':
+        if (--this.phaseTicks <= 0) {
+          events.push(...this.beginCountdown());
+        }
+        break;
+    }
+
+    return events;
+  }
+
+  stepRound(events) {
+    const players = this.players;
+    const speed = this.getSpeed();
+    const inset = this.getArenaInset();
+
+    // Track who is alive before this tick
+    const wasAlive = {};
+    for (const id in players) {
+      wasAlive[id] = players[id].alive;
+    }
+
+    // Move all alive players
+    for (const id in players) {
+      const p = players[id];
+      if (p.alive) {
+        tickEffects(p);
+        movePlayer(p, p.effects & EFFECT_BOOST ? speed * BOOST_FACTOR : speed, this.grid, this.rules.turnSpeed, inset);
+      }
+    }
+
+    // Check collisions (uses spatial grid internally, respects effects)
+    checkCollisions(players, this.grid, this.rules.teamCollisions !== 0);
+
+    // Survivors pick up what they ride over; new pickups appear
+    events.push(...stepPickups(this));
+
+    // Decrement lives for players who just died this tick, and score the deaths
+    for (const id in players) {
+      if (wasAlive[id] && !players[id].alive) {
+        players[id].lives = Math.max(0, players[id].lives - 1);
+        events.push({ type: 'death', id, cause: players[id].deathCause, tick: this.tick });
+        this.scoreDeath(players[id]);
+      }
+    }
+
+    // Check round end: count sides (players, or teams in team mode) still riding
+    const aliveSides = new Set();
+    let lastAliveId = null;
+    for (const id in players) {
+      if (players[id].alive) {
+        aliveSides.add(sideOf(players[id]));
+        lastAliveId = id;
+      }
+    }
+
+    if (aliveSides.size > 1) return;
+
+    this.roundActive = false;
+    for (const id in players) {
+      if (players[id].alive) players[id].score += ROUND_WIN_POINTS;
+    }
+    events.push({ type: 'roundEnd', survivor: lastAliveId, team: teamOf(players[lastAliveId]), tick: this.tick });
+
+    // Check match end: count sides with lives remaining
+    const livingSides = new Set();
+    let lastWithLivesId = null;
+    for (const id in players) {
+      if (players[id].lives > 0) {
+        livingSides.add(sideOf(players[id]));
+        lastWithLivesId = id;
+      }
+    }
+
+    if (livingSides.size <= 1) {
+      // Match over - we have a winner (or nobody survived). In team mode the
+      // winner is a player on the winning team.
+      this.phase = 'matchOver';
+      resetPickups(this);
+      if (livingSides.size === 1) {
+        this.matchWinner = lastWithLivesId;
+      }
+      events.push({ type: 'matchEnd', winner: this.matchWinner, team: teamOf(players[this.matchWinner]), tick: this.tick });
+    } else {
+      // More rounds to play
+      this.phase = 'intermission';
+      this.phaseTicks = INTERMISSION_TICKS;
+    }
+  }
+
+  // Points for a death: the trail's owner scores a kill (unless it was a
+  // teammate's), and everyone still riding has outlived an opponent
+  scoreDeath(victim) {
+    const killer = this.players[victim.deathCause];
+    if (killer && sideOf(killer) !== sideOf(victim)) killer.score += KILL_POINTS;
+    for (const id in this.players) {
+      const p = this.players[id];
+      if (p.alive && sideOf(p) !== sideOf(victim)) p.score += OUTLIVE_POINTS;
+    }
+  }
+
+  // Take over a match mid-flight from the last state another host broadcast
+  // (host migration). `state.players` already holds the trails we received,
+  // in buffers sized for `state.rules`.
+  loadState(state) {
+    if (state.map !== undefined) this.map = state.map;
+    if (state.rules) this.rules = fitRulesToMap(normalizeRules(state.rules), this.map);
+    if (state.rules || state.map !== undefined) this.grid = this.createGrid();
+    for (const id in state.players) {
+      const p = state.players[id];
+      // Only effect flags travel on the wire: boosts end, a phase gets just
+      // long enough to leave whatever trail it is inside
+      p.effects &= ~EFFECT_BOOST;
+      p.boostTicks = 0;
+      p.phaseTicks = p.effects & EFFECT_PHASE ? SHIELD_GRACE_TICKS : 0;
+      this.players[id] = p;
+    }
+    this.pickups = (state.pickups || []).map((pk) => ({ id: pk.id, kind: pk.kind, x: pk.x, y: pk.y }));
+    this.nextPickupId = this.pickups.reduce((next, pk) => Math.max(next, pk.id + 1), 0) & 0xffff;
+
+    this.phase = state.phase || (state.roundActive ? 'round' : 'lobby');
+    this.roundActive = this.phase === 'round';
+    this.countdown = state.countdown || 0;
+    this.matchWinner = state.matchWinner || null;
+    this.roundStartTime = state.roundStartTime || null;
+    this.phaseTicks = this.phase === 'intermission' ? INTERMISSION_TICKS : TICK_RATE;
+
+    // Rebuild the round's tick origin so the speed ramp and shrinking walls carry on where they were
+    const elapsed = this.roundActive && this.roundStartTime ? Math.max(0, this.clock() - this.roundStartTime) : 0;
+    this.roundStartTick = this.tick - Math.round(elapsed / TICK_MS);
+    this.grid.dirty = true;
+  }
+
+  // Plain snapshot of everything the wire format needs
+  getState() {
+    return {
+      players: this.players,
+      tick: this.tick,
+      phase: this.phase,
+      roundActive: this.roundActive,
+      countdown: this.countdown,
+      roundStartTime: this.roundStartTime,
+      matchWinner: this.matchWinner,
+      pickups: this.pickups,
+      rules: this.rules,
+      map: this.map
+    };
+  }
+}
@@ -0,0 +1,70 @@
+import { COLORS } from './game.js';
+
+// Team mode.
+// With rules.teams > 0 every player has a team index (p.team) and rounds and
+// matches are won by the last team standing instead of the last player.
+// Teammates share a hue; each slot gets its own shade so bikes stay apart.
+
+export const MAX_TEAMS = 4;
+export const TEAM_NAMES = ['ORANGE', 'BLUE', 'GREEN', 'PINK'];
+const TEAM_HUES = [30, 200, 110, 320];
+
+// A hex color (the renderer appends alpha to it) for `slot` on `team`
+export function teamColor(team, slot) {
+  const lightness = 0.4 + (slot % 8) * 0.05;
+  return hslToHex(TEAM_HUES[team % MAX_TEAMS], 1, lightness);
+}
+
+function hslToHex(hue, saturation, lightness) {
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const v = lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(v * 255).toString(16).padStart(2, '0');
+  };
+  return '#' + channel(0) + channel(8) + channel(4);
+}
+
+// A player's team index, or null outside team mode (or for no player)
+export function teamOf(p) {
+  return p && p.team !== null && p.team !== undefined ? p.team : null;
+}
+
+// Team tint in team mode, the player's chosen color otherwise
+export function colorFor(p) {
+  const team = teamOf(p);
+  return team !== null ? teamColor(team, p.spawnIndex) : COLORS[p.colorIndex % COLORS.length];
+}
+
+// Who a player wins with: their team, or just themselves in free-for-all
+export function sideOf(p) {
+  const team = teamOf(p);
+  return team !== null ? 'team:' + team : p.id;
+}
+
+// How many sides have a player in them
+export function countSides(players) {
+  const sides = new Set();
+  for (const id in players) sides.add(sideOf(players[id]));
+  return sides.size;
+}
+
+// The team with the fewest players (lowest index on a tie)
+export function smallestTeam(players, teams) {
+  const sizes = new Array(teams).fill(0);
+  for (const id in players) {
+    const team = players[id].team;
+    if (team !== null && team !== undefined && team < teams) sizes[team]++;
+  }
+  return sizes.indexOf(Math.min(...sizes));
+}
+
+// Deal every player onto `teams` teams in turn (0 clears teams) and recolor
+export function assignTeams(players, teams) {
+  let i = 0;
+  for (const id in players) {
+    const p = players[id];
+    p.team = teams > 0 ? i++ % teams : null;
+    p.color = colorFor(p);
+  }
+}
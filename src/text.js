@@ -0,0 +1,15 @@
+// Cleanup for text other players will see (callsigns, chat, room listings).
+// Used by the game and by server/lobby.js, so every filter strips the same
+// characters.
+
+// Control characters, zero-width characters, line and paragraph separators,
+// and the marks that change text direction
+const HIDDEN_CHARS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2066-\u2069]/g;
+
+// Strip hidden characters and collapse whitespace. Callers cap the length.
+export function cleanText(text) {
+  return String(text)
+    .replace(HIDDEN_CHARS, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
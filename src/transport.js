@@ -0,0 +1,634 @@
+import Peer from 'peerjs';
+
+// Transport layer - Network only talks to these, never to PeerJS directly.
+//
+// Every transport has the same shape:
+//   open(id?)        -> Promise<id>  register under `id` (random if omitted)
+//   connect(peerId)  -> Connection   dial another peer
+//   destroy()                        drop every connection and unregister
+//   on('connection' | 'error', cb)
+//   measureObjects                   also size non-binary messages in `traffic`
+//
+// And every connection:
+//   peer, open, bufferedAmount, send(data), close()
+//   traffic          { msgsIn, msgsOut, bytesIn, bytesOut } running totals
+//   on('open' | 'data' | 'close' | 'error', cb)
+//
+// Errors carry a PeerJS-style `type` ('unavailable-id', 'peer-unavailable', 'network')
+// so callers can handle every transport the same way.
+
+const PEER_PING_INTERVAL = 1000;
+
+export const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' }
+];
+
+// PeerJS options for a signaling server and ICE servers (see readPeerSettings).
+// Anything not set falls back to the public PeerJS cloud and Google's STUN servers.
+export function peerOptions(settings = {}) {
+  const options = {
+    debug: 1,
+    pingInterval: PEER_PING_INTERVAL,
+    config: { iceServers: settings.iceServers || DEFAULT_ICE_SERVERS }
+  };
+  for (const key of ['host', 'port', 'path', 'secure', 'key']) {
+    if (settings[key] !== undefined) options[key] = settings[key];
+  }
+  return options;
+}
+
+export const DEFAULT_PEER_OPTIONS = peerOptions();
+
+const ICE_URL = /^(stun|stuns|turn|turns):\S+$/;
+
+function iceUrls(text) {
+  return text ? text.split(',').map((url) => url.trim()).filter((url) => ICE_URL.test(url)) : [];
+}
+
+function isIceServer(server) {
+  if (server === null || typeof server !== 'object') return false;
+  const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+  return urls.length > 0 && urls.every((url) => typeof url === 'string' && ICE_URL.test(url));
+}
+
+// Signaling and ICE settings from build-time variables (`env`, i.e.
+// import.meta.env) and URL parameters (`params`), the URL winning:
+//   peerHost / VITE_PEER_HOST      signaling server host
+//   peerPort / VITE_PEER_PORT      its port
+//   peerPath / VITE_PEER_PATH      PeerServer path
+//   peerSecure / VITE_PEER_SECURE  1 for wss/https, 0 for ws/http
+//   peerKey / VITE_PEER_KEY        PeerServer API key
+//   stun / VITE_STUN_URLS          comma-separated STUN urls (replace the defaults)
+//   turn / VITE_TURN_URLS          comma-separated TURN urls, with
+//   turnUser / VITE_TURN_USERNAME  and turnPass / VITE_TURN_CREDENTIAL
+//   ice / VITE_ICE_SERVERS         a full RTCIceServer JSON array (overrides stun/turn)
+export function readPeerSettings(env = {}, params = new URLSearchParams()) {
+  const read = (param, name) => params.get(param) || env[name] || null;
+  const settings = {};
+
+  const host = read('peerHost', 'VITE_PEER_HOST');
+  if (host) settings.host = host;
+  const port = Number(read('peerPort', 'VITE_PEER_PORT'));
+  if (Number.isInteger(port) && port > 0 && port < 65536) settings.port = port;
+  const path = read('peerPath', 'VITE_PEER_PATH');
+  if (path) settings.path = path;
+  const secure = read('peerSecure', 'VITE_PEER_SECURE');
+  if (secure) settings.secure = secure === '1' || secure === 'true';
+  const key = read('peerKey', 'VITE_PEER_KEY');
+  if (key) settings.key = key;
+
+  const ice = read('ice', 'VITE_ICE_SERVERS');
+  if (ice) {
+    try {
+      const servers = JSON.parse(ice);
+      if (Array.isArray(servers) && servers.length > 0 && servers.every(isIceServer)) {
+        settings.iceServers = servers;
+        return settings;
+      }
+    } catch (e) {
+      // fall through to the warning
+    }
+    console.warn('Ignoring ICE server list - expected a JSON array of { urls, username?, credential? }');
+  }
+
+  const stun = iceUrls(read('stun', 'VITE_STUN_URLS'));
+  const turn = iceUrls(read('turn', 'VITE_TURN_URLS'));
+  if (stun.length > 0 || turn.length > 0) {
+    settings.iceServers = stun.length > 0 ? [{ urls: stun }] : DEFAULT_ICE_SERVERS.slice();
+    if (turn.length > 0) {
+      const server = { urls: turn };
+      const username = read('turnUser', 'VITE_TURN_USERNAME');
+      const credential = read('turnPass', 'VITE_TURN_CREDENTIAL');
+      if (username) server.username = username;
+      if (credential) server.credential = credential;
+      settings.iceServers.push(server);
+    }
+  }
+  return settings;
+}
+
+export const DEFAULT_RELAY_PORT = 8787;
+
+function transportError(type, message) {
+  const err = new Error(message);
+  err.type = type;
+  return err;
+}
+
+function randomId() {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+// Minimal multi-listener emitter shared by transports and connections
+class Emitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(event, callback) {
+    (this.listeners[event] || (this.listeners[event] = [])).push(callback);
+    return this;
+  }
+
+  emit(event, data) {
+    const list = this.listeners[event];
+    if (!list) return;
+    for (const cb of list.slice()) cb(data);
+  }
+}
+
+// Counts what crosses a connection for the diagnostics overlay. Binary frames
+// and text the transport encodes itself are counted exactly. Objects that
+// PeerJS or the loopback serialize are sized as JSON only while the
+// transport's `measureObjects` is on (the overlay is open), and count as 0
+// bytes otherwise.
+class Channel extends Emitter {
+  constructor(transport) {
+    super();
+    this.transport = transport;
+    this.traffic = { msgsIn: 0, msgsOut: 0, bytesIn: 0, bytesOut: 0 };
+  }
+
+  sizeOf(data) {
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+    if (typeof data === 'string') return data.length;
+    if (!this.transport.measureObjects) return 0;
+    try {
+      return JSON.stringify(data).length;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  countIn(bytes) {
+    this.traffic.msgsIn++;
+    this.traffic.bytesIn += bytes;
+  }
+
+  countOut(bytes) {
+    this.traffic.msgsOut++;
+    this.traffic.bytesOut += bytes;
+  }
+}
+
+// ─── PeerJS / WebRTC ─────────────────────────────────────────
+
+class PeerConnection extends Channel {
+  constructor(conn, transport) {
+    super(transport);
+    this.conn = conn;
+    this.peer = conn.peer;
+    conn.on('open', () => this.emit('open'));
+    conn.on('data', (data) => {
+      this.countIn(this.sizeOf(data));
+      this.emit('data', data);
+    });
+    conn.on('close', () => this.emit('close'));
+    conn.on('error', (err) => this.emit('error', err));
+  }
+
+  get open() {
+    return this.conn.open;
+  }
+
+  // PeerJS wraps RTCDataChannel - expose its send buffer for backpressure
+  get bufferedAmount() {
+    const dc = this.conn._dc || this.conn.dataChannel;
+    return dc ? dc.bufferedAmount : 0;
+  }
+
+  send(data) {
+    this.countOut(this.sizeOf(data));
+    this.conn.send(data);
+  }
+
+  close() {
+    this.conn.close();
+  }
+}
+
+export class PeerTransport extends Emitter {
+  constructor(options = DEFAULT_PEER_OPTIONS) {
+    super();
+    this.options = options;
+    this.measureObjects = false;
+    this.peer = null;
+    this.id = null;
+    this.pending = new Set(); // outgoing connections not yet open
+  }
+
+  open(id) {
+    this.peer = id ? new Peer(id, this.options) : new Peer(this.options);
+
+    return new Promise((resolve, reject) => {
+      this.peer.on('open', (peerId) => {
+        this.id = peerId;
+        resolve(peerId);
+      });
+
+      this.peer.on('error', (err) => {
+        // PeerJS reports unreachable peers on the Peer, not the DataConnection -
+        // hand the error to the connection that was dialing it
+        if (err.type === 'peer-unavailable') {
+          for (const conn of this.pending) {
+            if (err.message && err.message.indexOf(conn.peer) !== -1) {
+              this.pending.delete(conn);
+              conn.emit('error', err);
+            }
+          }
+        }
+        this.emit('error', err);
+        reject(err);
+      });
+
+      this.peer.on('connection', (conn) => {
+        this.emit('connection', new PeerConnection(conn, this));
+      });
+
+      // Lost the signaling server (e.g. Wi-Fi blip) - keep our ID and get back on
+      this.peer.on('disconnected', () => {
+        if (this.peer && !this.peer.destroyed) this.peer.reconnect();
+      });
+    });
+  }
+
+  connect(peerId) {
+    const conn = new PeerConnection(this.peer.connect(peerId, { reliable: true }), this);
+    this.pending.add(conn);
+    conn.on('open', () => this.pending.delete(conn));
+    conn.on('close', () => this.pending.delete(conn));
+    return conn;
+  }
+
+  destroy() {
+    if (this.peer) {
+      this.peer.destroy();
+      this.peer = null;
+    }
+  }
+}
+
+// ─── WebSocket relay (LAN play, see server/relay.js) ─────────
+
+// Binary frames skip JSON: [route length u8][route "peer|cid"][payload].
+// We address the route to the target peer; the relay rewrites it to name us.
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function relayRoute(peerId, cid) {
+  const route = textEncoder.encode(peerId + '|' + cid);
+  if (route.length > 255) throw transportError('invalid-id', 'Peer id too long for the relay');
+  return route;
+}
+
+class RelayConnection extends Channel {
+  constructor(transport, peerId, cid) {
+    super(transport);
+    this.peer = peerId;
+    this.cid = cid;
+    this.open = false;
+    this.route = relayRoute(peerId, cid);
+  }
+
+  get bufferedAmount() {
+    return this.transport.socket ? this.transport.socket.bufferedAmount : 0;
+  }
+
+  send(data) {
+    if (!this.open) return;
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      const payload = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      const frame = new Uint8Array(1 + this.route.length + payload.length);
+      frame[0] = this.route.length;
+      frame.set(this.route, 1);
+      frame.set(payload, 1 + this.route.length);
+      this.transport.postBinary(frame);
+      this.countOut(frame.length);
+    } else {
+      this.countOut(this.transport.post({ op: 'data', to: this.peer, cid: this.cid, data }));
+    }
+  }
+
+  close() {
+    if (!this.open) return;
+    this.transport.post({ op: 'close', to: this.peer, cid: this.cid });
+    this.transport.dropChannel(this);
+  }
+}
+
+export class WebSocketTransport extends Emitter {
+  constructor(options = {}) {
+    super();
+    this.url = options.url || defaultRelayUrl();
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;
+    this.socket = null;
+    this.id = null;
+    this.channels = new Map(); // `${peer}|${cid}` -> RelayConnection
+    this.channelCounter = 0;
+    this.measureObjects = false; // every relay message is already a string or bytes
+  }
+
+  open(id) {
+    return new Promise((resolve, reject) => {
+      if (!this.WebSocket) {
+        reject(transportError('browser-incompatible', 'WebSocket is not available'));
+        return;
+      }
+
+      let settled = false;
+      this.socket = new this.WebSocket(this.url);
+      this.socket.binaryType = 'arraybuffer';
+
+      this.socket.onopen = () => {
+        this.post({ op: 'open', id });
+      };
+
+      this.socket.onerror = () => {
+        const err = transportError('network', 'Could not reach relay at ' + this.url);
+        this.emit('error', err);
+        if (!settled) {
+          settled = true;
+          reject(err);
+        }
+      };
+
+      this.socket.onclose = () => {
+        for (const conn of Array.from(this.channels.values())) {
+          this.dropChannel(conn);
+        }
+      };
+
+      this.socket.onmessage = (event) => {
+        if (typeof event.data !== 'string') {
+          this.handleRelayFrame(event.data);
+          return;
+        }
+        let msg;
+        try {
+          msg = JSON.parse(event.data);
+        } catch (e) {
+          return;
+        }
+
+        if (msg.op === 'open') {
+          this.id = msg.id;
+          settled = true;
+          resolve(msg.id);
+        } else if (msg.op === 'error' && !settled) {
+          settled = true;
+          reject(transportError(msg.type, msg.message || msg.type));
+        } else {
+          this.handleRelayMessage(msg, event.data.length);
+        }
+      };
+    });
+  }
+
+  handleRelayMessage(msg, size) {
+    const key = msg.from + '|' + msg.cid;
+    const conn = this.channels.get(key);
+
+    switch (msg.op) {
+      case 'connect': {
+        const incoming = new RelayConnection(this, msg.from, msg.cid);
+        incoming.open = true;
+        this.channels.set(key, incoming);
+        this.post({ op: 'accept', to: msg.from, cid: msg.cid });
+        this.emit('connection', incoming);
+        incoming.emit('open');
+        break;
+      }
+
+      case 'accept':
+        if (conn && !conn.open) {
+          conn.open = true;
+          conn.emit('open');
+        }
+        break;
+
+      case 'data':
+        if (!conn) break;
+        conn.countIn(size || 0);
+        conn.emit('data', msg.data);
+        break;
+
+      case 'close':
+        if (conn) this.dropChannel(conn);
+        break;
+
+      case 'leave':
+        // Relay tells us a peer's socket went away - close every channel to it
+        for (const c of Array.from(this.channels.values())) {
+          if (c.peer === msg.id) this.dropChannel(c);
+        }
+        break;
+
+      case 'error': {
+        const err = transportError(msg.type, msg.message || msg.type);
+        const failed = this.channels.get(msg.to + '|' + msg.cid);
+        if (failed) {
+          this.channels.delete(msg.to + '|' + msg.cid);
+          failed.emit('error', err);
+        }
+        this.emit('error', err);
+        break;
+      }
+    }
+  }
+
+  // A binary frame from the relay; anything malformed is dropped
+  handleRelayFrame(buffer) {
+    if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < 1) return;
+    const bytes = new Uint8Array(buffer);
+    const start = 1 + bytes[0];
+    if (bytes[0] === 0 || start > bytes.length) return;
+    const conn = this.channels.get(textDecoder.decode(bytes.subarray(1, start)));
+    if (!conn) return;
+    conn.countIn(buffer.byteLength);
+    conn.emit('data', buffer.slice(start));
+  }
+
+  connect(peerId) {
+    const cid = this.id + ':' + (++this.channelCounter);
+    const conn = new RelayConnection(this, peerId, cid);
+    this.channels.set(peerId + '|' + cid, conn);
+    this.post({ op: 'connect', to: peerId, cid });
+    return conn;
+  }
+
+  dropChannel(conn) {
+    this.channels.delete(conn.peer + '|' + conn.cid);
+    if (conn.open) {
+      conn.open = false;
+      conn.emit('close');
+    }
+  }
+
+  // Returns the bytes sent (0 if the socket isn't open)
+  post(msg) {
+    if (!this.socket || this.socket.readyState !== 1) return 0;
+    const text = JSON.stringify(msg);
+    this.socket.send(text);
+    return text.length;
+  }
+
+  postBinary(frame) {
+    if (this.socket && this.socket.readyState === 1) {
+      this.socket.send(frame);
+    }
+  }
+
+  destroy() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    for (const conn of Array.from(this.channels.values())) {
+      this.dropChannel(conn);
+    }
+  }
+}
+
+function defaultRelayUrl() {
+  const host = typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost';
+  return 'ws://' + host + ':' + DEFAULT_RELAY_PORT;
+}
+
+// ─── In-memory loopback (tests, single-process host + clients) ──
+
+// Peers register on a hub; transports sharing a hub can reach each other
+export class LoopbackHub {
+  constructor() {
+    this.peers = new Map(); // id -> LoopbackTransport
+  }
+}
+
+const defaultHub = new LoopbackHub();
+
+// Copy payloads so host and client never share object references,
+// the same way a real wire would serialize them
+function cloneMessage(data) {
+  if (typeof structuredClone === 'function') return structuredClone(data);
+  return JSON.parse(JSON.stringify(data));
+}
+
+class LoopbackConnection extends Channel {
+  constructor(transport, peerId) {
+    super(transport);
+    this.peer = peerId;
+    this.remote = null;
+    this.open = false;
+    this.bufferedAmount = 0;
+  }
+
+  send(data) {
+    if (!this.open || !this.remote) return;
+    const remote = this.remote;
+    const copy = cloneMessage(data);
+    this.countOut(this.sizeOf(data));
+    setTimeout(() => {
+      if (!remote.open) return;
+      remote.countIn(remote.sizeOf(copy));
+      remote.emit('data', copy);
+    }, this.transport.latency);
+  }
+
+  close() {
+    if (!this.open) return;
+    const remote = this.remote;
+    this.shutdown();
+    if (remote) setTimeout(() => remote.shutdown(), this.transport.latency);
+  }
+
+  shutdown() {
+    if (!this.open) return;
+    this.open = false;
+    this.transport.connections.delete(this);
+    this.emit('close');
+  }
+}
+
+export class LoopbackTransport extends Emitter {
+  constructor(options = {}) {
+    super();
+    this.hub = options.hub || defaultHub;
+    this.latency = options.latency || 0;
+    this.measureObjects = false;
+    this.id = null;
+    this.connections = new Set();
+  }
+
+  open(id) {
+    return new Promise((resolve, reject) => {
+      const peerId = id || randomId();
+      setTimeout(() => {
+        if (this.hub.peers.has(peerId)) {
+          const err = transportError('unavailable-id', 'ID "' + peerId + '" is taken');
+          this.emit('error', err);
+          reject(err);
+          return;
+        }
+        this.id = peerId;
+        this.hub.peers.set(peerId, this);
+        resolve(peerId);
+      }, 0);
+    });
+  }
+
+  connect(peerId) {
+    const local = new LoopbackConnection(this, peerId);
+
+    setTimeout(() => {
+      const target = this.hub.peers.get(peerId);
+      if (!target || !this.id) {
+        const err = transportError('peer-unavailable', 'Could not connect to peer ' + peerId);
+        local.emit('error', err);
+        this.emit('error', err);
+        return;
+      }
+
+      const far = new LoopbackConnection(target, this.id);
+      local.remote = far;
+      far.remote = local;
+      local.open = true;
+      far.open = true;
+      this.connections.add(local);
+      target.connections.add(far);
+
+      target.emit('connection', far);
+      far.emit('open');
+      local.emit('open');
+    }, this.latency);
+
+    return local;
+  }
+
+  destroy() {
+    for (const conn of Array.from(this.connections)) {
+      conn.close();
+    }
+    if (this.id && this.hub.peers.get(this.id) === this) {
+      this.hub.peers.delete(this.id);
+    }
+    this.id = null;
+  }
+}
+
+// Build a transport by name: 'peer' (default), 'websocket' or 'loopback'
+export function createTransport(kind, options) {
+  switch (kind) {
+    case 'websocket':
+    case 'ws':
+      return new WebSocketTransport(options);
+    case 'loopback':
+      return new LoopbackTransport(options);
+    case 'peer':
+    case undefined:
+    case null:
+      return new PeerTransport(options);
+    default:
+      throw new Error('Unknown transport: ' + kind);
+  }
+}
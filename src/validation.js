@@ -0,0 +1,141 @@
+import { MAX_TEAMS } from './teams.js';
+import { isColorIndex } from './game.js';
+import { MAX_CHAT_LENGTH, isEmote } from './chat.js';
+import { cleanText } from './text.js';
+
+// Host-side checks for everything a client sends.
+// Clients are untrusted: every message is checked against a schema before
+// handleMessage sees it, each connection gets a message budget, and peers
+// that keep sending garbage collect strikes until they are kicked.
+
+export const MAX_NAME_LENGTH = 12; // matches the callsign input
+export const MAX_PASSWORD_LENGTH = 32; // matches the password input
+const MAX_ID_LENGTH = 64;
+
+const RATE_PER_SECOND = 30; // steady message budget per connection
+const RATE_BURST = 60;      // short bursts (key mashing, reconnect chatter)
+const MAX_STRIKES = 10;     // kick once this many strikes are outstanding
+const STRIKE_DECAY_MS = 2000; // one strike forgiven per interval
+
+// ─── Field checks ────────────────────────────────────────────
+
+function isString(maxLength) {
+  return (v) => typeof v === 'string' && v.length <= maxLength;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && isFinite(v);
+}
+
+function isBoolean(v) {
+  return typeof v === 'boolean';
+}
+
+function isSequence(v) {
+  return Number.isInteger(v) && v >= 0 && v <= 0xffffffff;
+}
+
+function isTurning(v) {
+  return v === -1 || v === 0 || v === 1;
+}
+
+function isVersionList(v) {
+  return Array.isArray(v) && v.length <= 8 && v.every((n) => Number.isInteger(n));
+}
+
+function isTeam(v) {
+  return Number.isInteger(v) && v >= 0 && v < MAX_TEAMS;
+}
+
+function isRole(v) {
+  return v === 'player' || v === 'spectator';
+}
+
+function isInputUpdate(v) {
+  return v !== null && typeof v === 'object' && isTurning(v.turning);
+}
+
+function optional(check) {
+  return (v) => v === undefined || v === null || check(v);
+}
+
+// Message type -> { field: check }. Anything not listed here is not
+// something a client may send. Extra fields are ignored.
+const CLIENT_MESSAGES = {
+  join: {
+    playerId: optional(isString(MAX_ID_LENGTH)),
+    name: isString(MAX_ID_LENGTH),
+    token: optional(isString(MAX_ID_LENGTH)),
+    protocols: optional(isVersionList),
+    migrate: optional(isBoolean),
+    spectate: optional(isBoolean),
+    password: optional(isString(MAX_PASSWORD_LENGTH))
+  },
+  input: { update: isInputUpdate },
+  role: { role: isRole },
+  team: { team: isTeam },
+  color: { color: isColorIndex },
+  ready: { ready: isBoolean },
+  chat: { text: isString(MAX_CHAT_LENGTH) },
+  emote: { emote: isEmote },
+  ack: { sq: isSequence },
+  ping: { t: optional(isFiniteNumber) },
+  pong: { t: optional(isFiniteNumber) },
+  snapshotRequest: {},
+  restart: {}
+};
+
+// Messages a connection may send before its `join` is accepted
+export const PRE_JOIN_MESSAGES = new Set(['join', 'ping', 'pong']);
+
+// Everything a spectator may send - they have no player to steer or restart
+export const SPECTATOR_MESSAGES = new Set(['ping', 'pong', 'ack', 'snapshotRequest', 'role', 'chat']);
+
+// Returns null when `msg` is acceptable from a client, otherwise a reason
+export function validateClientMessage(msg) {
+  if (msg === null || typeof msg !== 'object' || typeof msg.type !== 'string') {
+    return 'not a message';
+  }
+
+  const schema = CLIENT_MESSAGES[msg.type];
+  if (!schema) return 'unexpected message type ' + msg.type.slice(0, 32);
+
+  for (const field in schema) {
+    if (!schema[field](msg[field])) return 'bad field ' + field + ' in ' + msg.type;
+  }
+  return null;
+}
+
+// Strip hidden characters (text.js) and surrounding space, cap the length.
+// Falls back to a generic name so a blank callsign never reaches the HUD.
+export function sanitizeName(name) {
+  const clean = cleanText(name).slice(0, MAX_NAME_LENGTH);
+  return clean || 'Player';
+}
+
+// ─── Per-connection limits ───────────────────────────────────
+
+export class PeerGuard {
+  constructor(now = Date.now()) {
+    this.tokens = RATE_BURST;
+    this.refilledAt = now;
+    this.strikes = 0;
+    this.struckAt = now;
+  }
+
+  // Spend one message from the budget; false when the peer is flooding
+  take(now = Date.now()) {
+    this.tokens = Math.min(RATE_BURST, this.tokens + (now - this.refilledAt) * RATE_PER_SECOND / 1000);
+    this.refilledAt = now;
+    if (this.tokens < 1) return false;
+    this.tokens--;
+    return true;
+  }
+
+  // Record a violation; true once the peer should be dropped
+  strike(now = Date.now()) {
+    this.strikes = Math.max(0, this.strikes - (now - this.struckAt) / STRIKE_DECAY_MS) + 1;
+    this.struckAt = now;
+    return this.strikes >= MAX_STRIKES;
+  }
+}
@@ -0,0 +1,300 @@
+// Host and clients over the in-memory loopback transport - joining, state
+// sync, host migration, rejoining and bans - plus the headless simulation's
+// determinism. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network from '../src/network.js';
+import { GameSimulation } from '../src/simulation.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay } from '../src/replay.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves with the first event `match` accepts; fails if `match` throws or
+// nothing arrives within `ms`
+function nextEvent(network, event, match = () => true, ms = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('timed out waiting for ' + event)), ms);
+    const listener = (data) => {
+      try {
+        if (!match(data)) return;
+        resolve(data);
+      } catch (err) {
+        reject(err);
+      }
+      clearTimeout(timer);
+      network.off(event, listener);
+    };
+    network.on(event, listener);
+  });
+}
+
+test('every listener hears an event, until it unsubscribes', () => {
+  const network = new Network({ transport: 'loopback' });
+  const heard = [];
+  const feed = (e) => heard.push('feed:' + e.seq);
+  network.on('gameEvent', feed);
+  network.on('gameEvent', (e) => heard.push('stats:' + e.seq));
+  network.emit('gameEvent', { seq: 1 });
+  network.off('gameEvent', feed);
+  network.emit('gameEvent', { seq: 2 });
+  assert.deepEqual(heard, ['feed:1', 'stats:1', 'stats:2']);
+});
+
+function roster(network) {
+  return Object.values(network.players)
+    .map((p) => [p.id, p.name, p.colorIndex, p.lives, p.score].join(':'))
+    .sort();
+}
+
+test('a client joins over the loopback and follows the host\'s state', async (t) => {
+  const host = new Network({ transport: 'loopback' });
+  const client = new Network({ transport: 'loopback' });
+  t.after(() => {
+    client.disconnect();
+    host.disconnect();
+  });
+
+  const code = await host.createRoom('HOST');
+  const joined = nextEvent(host, 'playerJoined');
+  const init = nextEvent(client, 'init');
+  await client.joinRoom(code, 'ALICE');
+
+  const { playerId } = await init;
+  assert.equal(playerId, client.myId);
+  assert.equal((await joined).playerId, playerId);
+  assert.equal(host.players[playerId].name, 'ALICE');
+
+  client.sendReady(true);
+  await wait(50);
+  const started = nextEvent(client, 'gameStart');
+  host.startGame();
+  await started;
+
+  // Once the round runs, every state the client takes in matches the host:
+  // same roster, and positions within the wire format's rounding (or one
+  // tick of movement, if the host stepped before the state arrived)
+  let checked = 0;
+  await nextEvent(client, 'stateUpdate', () => {
+    if (!client.roundActive) return false;
+    assert.deepEqual(roster(client), roster(host));
+    for (const id in host.players) {
+      const h = host.players[id];
+      const c = client.players[id];
+      assert.ok(Math.hypot(h.x - c.x, h.y - c.y) < 10, 'player ' + id + ' out of sync');
+    }
+    return ++checked >= 10;
+  }, 10000);
+
+  // The client's steering reaches the host's simulation
+  client.sendInput(1);
+  await wait(100);
+  assert.equal(host.players[playerId].turning, 1);
+});
+
+// ─── Sessions ───────────────────────────────────────────────
+
+function createNetwork(t) {
+  const network = new Network({ transport: 'loopback' });
+  t.after(() => network.disconnect());
+  return network;
+}
+
+// Ready everyone up and wait for the first round to get going
+async function startMatch(host, clients) {
+  for (const client of clients) client.sendReady(true);
+  await wait(50);
+  const running = nextEvent(host, 'stateUpdate', () => host.roundActive, 6000);
+  host.startGame();
+  await running;
+}
+
+// Joins `code` from a new tab; resolves with the network or the refusal's type
+async function tryJoin(t, code, identity, spectate, password) {
+  const network = createNetwork(t);
+  try {
+    await network.joinRoom(code, 'AGAIN', identity, spectate, password);
+    return network;
+  } catch (err) {
+    return err.type;
+  }
+}
+
+test('the first to join takes over the match when the host leaves', async (t) => {
+  const host = createNetwork(t);
+  const code = await host.createRoom('HOST');
+  const bob = createNetwork(t);
+  await bob.joinRoom(code, 'BOB');
+  await wait(30);
+  const cat = createNetwork(t);
+  await cat.joinRoom(code, 'CAT');
+  await startMatch(host, [bob, cat]);
+  host.players[cat.myId].score = 300;
+  await nextEvent(bob, 'stateUpdate', () => bob.players[cat.myId].score === 300);
+
+  const bobTookOver = nextEvent(bob, 'hostMigrated', () => true, 10000);
+  const catFollowed = nextEvent(cat, 'hostMigrated', () => true, 10000);
+  host.disconnect();
+  assert.deepEqual(await bobTookOver, { hostId: bob.myId, isHost: true });
+  assert.deepEqual(await catFollowed, { hostId: bob.myId, isHost: false });
+
+  // The match carries on under Bob, with everyone's score
+  assert.equal(bob.isHost, true);
+  assert.equal(cat.isHost, false);
+  assert.equal(bob.gameStarted, true);
+  assert.equal(bob.players[cat.myId].score, 300);
+  await nextEvent(cat, 'stateUpdate', () => cat.players[cat.myId].score === 300);
+  assert.deepEqual(roster(cat), roster(bob));
+  assert.equal(cat.players[host.myId], undefined);
+});
+
+test('a reloaded tab rejoins its slot with its score', async (t) => {
+  const host = createNetwork(t);
+  const code = await host.createRoom('HOST');
+  const alice = createNetwork(t);
+  await alice.joinRoom(code, 'ALICE');
+  await startMatch(host, [alice]);
+
+  const identity = { playerId: alice.myId, token: alice.rejoinToken };
+  host.players[identity.playerId].score = 450;
+  alice.disconnect();
+  await wait(50);
+  // The host holds the slot while the player is away
+  assert.equal(host.players[identity.playerId].connected, false);
+
+  // A token for someone else's slot gets a new one
+  const stranger = await tryJoin(t, code, { playerId: identity.playerId, token: 'guess' });
+  assert.notEqual(stranger.myId, identity.playerId);
+
+  const rejoined = nextEvent(host, 'playerRejoined');
+  const reloaded = await tryJoin(t, code, identity);
+  assert.equal((await rejoined).playerId, identity.playerId);
+  assert.equal(reloaded.myId, identity.playerId);
+  assert.equal(host.players[identity.playerId].connected, true);
+  assert.equal(host.players[identity.playerId].score, 450);
+  await nextEvent(reloaded, 'stateUpdate', () => reloaded.players[identity.playerId]);
+  assert.equal(reloaded.players[identity.playerId].score, 450);
+});
+
+test('banned players stay out, however they come back', async (t) => {
+  const host = createNetwork(t);
+  const code = await host.createRoom('HOST');
+  const mallory = createNetwork(t);
+  await mallory.joinRoom(code, 'MALLORY');
+  const kicked = nextEvent(mallory, 'disconnected');
+  const identity = { playerId: mallory.myId, token: mallory.rejoinToken };
+  await wait(30);
+
+  host.kickPlayer(identity.playerId, true);
+  assert.deepEqual(await kicked, { reason: 'BANNED FROM ROOM' });
+  await wait(50);
+
+  assert.equal(await tryJoin(t, code, identity), 'banned');
+  assert.equal(await tryJoin(t, code, identity, true), 'banned');
+  assert.equal(await tryJoin(t, code, { playerId: 'someone-else', token: identity.token }), 'banned');
+  assert.equal(host.players[identity.playerId], undefined);
+
+  // Someone new is still welcome
+  const fresh = await tryJoin(t, code, null);
+  assert.equal(typeof fresh, 'object');
+  assert.ok(host.players[fresh.myId]);
+});
+
+test('private rooms refuse a wrong password', async (t) => {
+  const host = createNetwork(t);
+  const code = await host.createRoom('HOST', 'hunter2');
+
+  assert.equal(await tryJoin(t, code, null, false, 'wrong'), 'wrong-password');
+  assert.equal(await tryJoin(t, code, null, false), 'wrong-password');
+  const guest = await tryJoin(t, code, null, false, 'hunter2');
+  assert.ok(host.players[guest.myId]);
+});
+
+// ─── Determinism ─────────────────────────────────────────────
+
+// Deterministic steering for a headless match
+function inputsAt(tick) {
+  return {
+    a: Math.sin(tick / 37) > 0 ? 1 : -1,
+    b: ((tick >> 6) % 3) - 1,
+    c: Math.cos(tick / 53) > 0.3 ? 1 : 0
+  };
+}
+
+function createSim() {
+  const sim = new GameSimulation({ seed: 42, rules: { lives: 2 } });
+  sim.addPlayer('a', 'A');
+  sim.addPlayer('b', 'B');
+  sim.addPlayer('c', 'C');
+  return sim;
+}
+
+// Plays one match to the end; `record` attaches a ReplayRecorder first
+function runMatch(sim, record) {
+  const recorder = record ? new ReplayRecorder(sim) : null;
+  sim.startMatch();
+
+  const log = [];
+  for (let i = 0; i < 60 * 600 && sim.phase !== 'matchOver'; i++) {
+    for (const e of sim.step(inputsAt(sim.tick))) {
+      if (e.type !== 'countdown') log.push(e.type + ':' + (e.id || e.winner || '') + '@' + e.tick);
+    }
+  }
+  return { sim, log, replay: recorder && recorder.finish(sim.matchWinner) };
+}
+
+function finalState(players) {
+  return Object.values(players).map((p) => [p.id, p.lives, p.score, p.x, p.y, p.trailTotal]);
+}
+
+// Re-runs a replay after a round trip through the file format, noting every
+// pickup that appears
+function playReplay(replay) {
+  const player = new ReplayPlayer(parseReplay(JSON.stringify(replay)));
+  const pickups = new Set();
+  while (player.sim.tick < replay.endTick) {
+    player.step();
+    for (const k of player.sim.pickups) pickups.add(k.id + ':' + k.x + ',' + k.y);
+  }
+  return { player, pickups: [...pickups] };
+}
+
+test('the same seed and inputs always play out the same match', () => {
+  const first = runMatch(createSim(), true);
+  const second = runMatch(createSim(), false);
+
+  assert.equal(first.sim.phase, 'matchOver');
+  assert.ok(first.log.some((e) => e.startsWith('death:')));
+  assert.deepEqual(second.log, first.log);
+  assert.deepEqual(finalState(second.sim.players), finalState(first.sim.players));
+
+  // ...and so does its replay
+  const { player } = playReplay(first.replay);
+  assert.deepEqual(finalState(player.players), finalState(first.sim.players));
+  assert.equal(player.matchWinner, first.sim.matchWinner);
+});
+
+test('a rematch in the same simulation replays the same, pickups included', () => {
+  const sim = createSim();
+  runMatch(sim, false);
+  assert.equal(sim.pickups.length, 0);
+
+  // Step the rematch by hand to see every pickup it spawns. Its RNG picks up
+  // where the first match left off unless startMatch restarts it.
+  const recorder = new ReplayRecorder(sim);
+  sim.startMatch();
+  assert.equal(sim.pickups.length, 0);
+  const pickups = new Set();
+  while (sim.phase !== 'matchOver' && sim.tick < 60 * 1200) {
+    sim.step(inputsAt(sim.tick));
+    for (const k of sim.pickups) pickups.add(k.id + ':' + k.x + ',' + k.y);
+  }
+  const replay = recorder.finish(sim.matchWinner);
+  assert.equal(replay.seed, 42);
+  assert.ok(pickups.size > 0);
+
+  const played = playReplay(replay);
+  assert.deepEqual(played.pickups, [...pickups]);
+  assert.deepEqual(finalState(played.player.players), finalState(sim.players));
+  assert.equal(played.player.matchWinner, sim.matchWinner);
+});
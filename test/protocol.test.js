@@ -0,0 +1,159 @@
+// Wire protocol: every binary frame kind survives encode -> decode, and
+// version negotiation picks what both sides speak.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeMessage, decodeMessage, createCodecContext, negotiateProtocol, isBinaryFrame,
+  PROTOCOL_JSON, PROTOCOL_BINARY
+} from '../src/protocol.js';
+import { serializeGameState, captureBaseline } from '../src/game.js';
+import { GameSimulation } from '../src/simulation.js';
+import { BUILTIN_MAPS } from '../src/maps.js';
+import { POWERUP_KINDS } from '../src/powerups.js';
+
+function roundTrip(msg, players, ctx = createCodecContext()) {
+  const frame = encodeMessage(msg, PROTOCOL_BINARY, players);
+  assert.ok(isBinaryFrame(frame), msg.type + ' should encode to a binary frame');
+  return decodeMessage(frame, ctx);
+}
+
+// A round a second in, so every player has a trail, plus a pickup
+function runningSim() {
+  const sim = new GameSimulation({ seed: 3 });
+  sim.addPlayer('a', 'ALICE');
+  sim.addPlayer('b', 'BOB');
+  sim.setTeam('b', 1);
+  sim.startMatch();
+  while (sim.tick < 4 * 60) sim.step({ a: 1, b: -1 });
+  sim.pickups.push({ id: 9, kind: POWERUP_KINDS[POWERUP_KINDS.length - 1], x: 400, y: 300 });
+  return sim;
+}
+
+function stateOf(sim, baseline = {}, seq = 1) {
+  return serializeGameState(sim.players, sim.roundActive, sim.countdown, sim.roundStartTime, sim.matchWinner, sim.phase, baseline, seq, sim.pickups);
+}
+
+// The fields a decoded player must carry over unchanged
+function playerFields(ps) {
+  return {
+    x: ps.x, y: ps.y, a: ps.a, tu: ps.tu, tl: ps.tl, te: ps.te, s: ps.s, l: ps.l, ef: ps.ef, al: ps.al,
+    tb: ps.tb, tr: ps.tr ? Array.from(ps.tr) : undefined
+  };
+}
+
+test('negotiation picks the highest shared version', () => {
+  assert.equal(negotiateProtocol([PROTOCOL_JSON, PROTOCOL_BINARY]), PROTOCOL_BINARY);
+  assert.equal(negotiateProtocol([PROTOCOL_JSON]), PROTOCOL_JSON);
+  assert.equal(negotiateProtocol([99]), PROTOCOL_JSON);
+  assert.equal(negotiateProtocol(undefined), PROTOCOL_JSON); // peers from before negotiation
+});
+
+test('state frames round-trip, full and delta', () => {
+  const sim = runningSim();
+  const ctx = createCodecContext();
+
+  const full = stateOf(sim);
+  const decoded = roundTrip({ type: 'state', state: full }, sim.players, ctx);
+  assert.equal(decoded.type, 'state');
+  const { state } = decoded;
+  assert.equal(state.ra, full.ra);
+  assert.equal(state.ph, full.ph);
+  assert.equal(state.sq, full.sq);
+  assert.equal(state.t, full.t);
+  assert.equal(state.rst, full.rst);
+  assert.equal(state.unknownSlots, undefined);
+  assert.ok(full.p.a.tr.length > 0);
+  assert.deepEqual(state.pu, full.pu);
+  assert.deepEqual(Object.keys(state.p), Object.keys(full.p));
+  for (const id in full.p) {
+    assert.deepEqual(playerFields(state.p[id]), playerFields(full.p[id]));
+    assert.equal(state.p[id].n, full.p[id].n);
+    assert.equal(state.p[id].c, full.p[id].c);
+    assert.equal(state.p[id].si, full.p[id].si);
+  }
+
+  // A delta carries no names: the context remembers which slot is whom...
+  const baseline = captureBaseline(sim.players);
+  sim.step({ a: 0, b: 0 });
+  const delta = stateOf(sim, baseline, 2);
+  const next = roundTrip({ type: 'state', state: delta }, sim.players, ctx).state;
+  assert.ok(delta.p.a.tr.length < full.p.a.tr.length);
+  for (const id in delta.p) {
+    assert.equal(next.p[id].n, undefined);
+    assert.deepEqual(playerFields(next.p[id]), playerFields(delta.p[id]));
+  }
+
+  // ...and a connection that never saw them has to ask for a snapshot
+  assert.equal(roundTrip({ type: 'state', state: delta }, sim.players).state.unknownSlots, true);
+});
+
+test('input and ack frames round-trip', () => {
+  for (const turning of [-1, 0, 1]) {
+    assert.deepEqual(roundTrip({ type: 'input', update: { turning } }, {}), { type: 'input', update: { turning } });
+  }
+  assert.deepEqual(roundTrip({ type: 'ack', sq: 0xfffffffe }, {}), { type: 'ack', sq: 0xfffffffe });
+});
+
+test('init frames round-trip with rules, map and state', () => {
+  const sim = runningSim();
+  const msg = {
+    type: 'init',
+    playerId: 'b',
+    hostId: 'a',
+    token: 'tok-123',
+    resume: 'rejoin',
+    gameStarted: true,
+    spectator: false,
+    locked: true,
+    rules: sim.rules,
+    map: BUILTIN_MAPS.Wormholes,
+    state: stateOf(sim)
+  };
+  const decoded = roundTrip(msg, sim.players);
+  for (const key of ['type', 'playerId', 'hostId', 'token', 'resume', 'gameStarted', 'spectator', 'locked']) {
+    assert.equal(decoded[key], msg[key], key);
+  }
+  assert.equal(decoded.protocol, PROTOCOL_BINARY);
+  assert.deepEqual(decoded.rules, { ...sim.rules });
+  assert.deepEqual(decoded.map, JSON.parse(JSON.stringify(BUILTIN_MAPS.Wormholes)));
+  assert.deepEqual(Object.keys(decoded.state.p), ['a', 'b']);
+
+  const open = roundTrip({ ...msg, resume: null, map: null, locked: false }, sim.players);
+  assert.equal(open.resume, null);
+  assert.equal(open.map, null);
+  assert.equal(open.locked, false);
+});
+
+test('playerList frames round-trip with teams, bots and spectators', () => {
+  const players = {
+    a: { slot: 0, name: 'ALICE', color: '#ff8c00', score: 150, lives: 2, alive: true, connected: true, ready: true, order: 1, peer: 'peer-a', bot: null, team: 0, colorIndex: 0 },
+    b: { slot: 3, name: 'BOT 1', color: '#39ff14', score: -25, lives: 0, alive: false, connected: false, ready: false, order: 2, peer: '', bot: 'hard', team: null, colorIndex: 3 }
+  };
+  const spectators = { s: { name: 'WATCHER' } };
+  const ctx = createCodecContext();
+  const decoded = decodeMessage(encodeMessage({ type: 'playerList', players, spectators }, PROTOCOL_BINARY), ctx);
+
+  assert.equal(decoded.type, 'playerList');
+  for (const id in players) assert.deepEqual(decoded.players[id], { id, ...players[id] });
+  assert.deepEqual(decoded.spectators, { s: { id: 's', name: 'WATCHER' } });
+  assert.equal(ctx.slotIds[3], 'b'); // later state frames can name slot 3
+});
+
+test('the JSON protocol passes objects through, trails as plain arrays', () => {
+  const sim = runningSim();
+  const chat = { type: 'chat', text: 'hi' };
+  assert.equal(encodeMessage(chat, PROTOCOL_JSON), chat);
+  assert.equal(encodeMessage(chat, PROTOCOL_BINARY), chat); // not a binary kind
+
+  const msg = encodeMessage({ type: 'state', state: stateOf(sim) }, PROTOCOL_JSON);
+  const back = decodeMessage(JSON.parse(JSON.stringify(msg)), createCodecContext());
+  assert.ok(Array.isArray(back.state.p.a.tr));
+});
+
+test('malformed frames throw instead of decoding', () => {
+  const frame = new Uint8Array(encodeMessage({ type: 'ack', sq: 1 }, PROTOCOL_BINARY));
+  assert.throws(() => decodeMessage(new Uint8Array([7, 5, 0, 0, 0, 0]).buffer, createCodecContext()), /version/);
+  assert.throws(() => decodeMessage(new Uint8Array([frame[0], 99]).buffer, createCodecContext()), /kind/);
+  assert.throws(() => decodeMessage(frame.slice(0, 3).buffer, createCodecContext()));
+});
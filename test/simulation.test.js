@@ -0,0 +1,99 @@
+// Arena maps and the simulation's collision rules: map parsing, wrap-around
+// edges and who gets the kill.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation } from '../src/simulation.js';
+import { BUILTIN_MAPS, parseMap } from '../src/maps.js';
+import { MAX_PLAYERS } from '../src/game.js';
+
+const arena = { width: 1400, height: 900, walls: [], portals: [] };
+
+function spawnsFor(count) {
+  return Array.from({ length: count }, (_, i) => ({ x: 100 + i * 100, y: 450, angle: 0 }));
+}
+
+// Start a match and run the countdown
+function startRound(sim) {
+  sim.startMatch();
+  while (sim.phase !== 'round') sim.step();
+}
+
+function place(p, x, y, angle) {
+  p.x = x;
+  p.y = y;
+  p.angle = angle;
+}
+
+test('the built-in maps and map files parse', () => {
+  for (const name in BUILTIN_MAPS) {
+    const map = parseMap(BUILTIN_MAPS[name]);
+    if (map) assert.equal(map.name, name);
+  }
+  const map = parseMap(JSON.stringify({ ...arena, name: '  Mine  ', walls: [[[10, 10], [50, 10], [50, 50]]], extra: true }));
+  assert.equal(map.name, 'Mine');
+  assert.equal(map.extra, undefined);
+  assert.deepEqual(map.spawns, []);
+  assert.equal(parseMap(JSON.stringify({ ...arena, spawns: spawnsFor(MAX_PLAYERS) })).spawns.length, MAX_PLAYERS);
+  assert.equal(parseMap('null'), null);
+});
+
+test('maps we can\'t play are rejected', () => {
+  const bad = [
+    ['{ nope', /Not a map/],
+    ['"Pillars"', /Not a map/],
+    [{ ...arena, width: 10 }, /size/],
+    [{ ...arena, height: 900.5 }, /size/],
+    [{ ...arena, walls: [[[0, 0], [10, 10]]] }, /wall/],
+    [{ ...arena, walls: [[[0, 0], [10, 10], [2000, 10]]] }, /wall/],
+    [{ ...arena, portals: [{ a: [10, 10] }] }, /portal/],
+    [{ ...arena, portals: Array(5).fill({ a: [10, 10], b: [20, 20] }) }, /portals/],
+    [{ ...arena, spawns: [{ x: 10, y: 10, angle: 'up' }] }, /spawn/],
+    [{ ...arena, spawns: spawnsFor(MAX_PLAYERS + 1) }, /spawns/],
+    // Too few would start two bikes on the same point
+    [{ ...arena, spawns: spawnsFor(2) }, /spawns/]
+  ];
+  for (const [map, message] of bad) assert.throws(() => parseMap(map), message, JSON.stringify(map).slice(0, 60));
+});
+
+test('a death on someone else\'s trail is their kill', () => {
+  const sim = new GameSimulation({ seed: 1 });
+  sim.addPlayer('a', 'A');
+  sim.addPlayer('b', 'B');
+  sim.addPlayer('c', 'C');
+  startRound(sim);
+  const { a, b, c } = sim.players;
+  // A crosses B's path first; B rides into A's trail
+  place(a, 500, 300, Math.PI / 2);
+  place(b, 300, 450, 0);
+  place(c, 1000, 150, 0);
+
+  const deaths = [];
+  for (let i = 0; i < 150 && deaths.length === 0; i++) {
+    for (const e of sim.step({})) if (e.type === 'death') deaths.push(e);
+  }
+  assert.deepEqual(deaths.map((e) => [e.id, e.cause]), [['b', 'a']]);
+  assert.equal(a.score, 125); // the kill, and outliving B
+  assert.equal(b.score, 0);
+  assert.equal(c.score, 25);
+});
+
+test('edges kill, unless the arena wraps around', () => {
+  for (const wrap of [0, 1]) {
+    const sim = new GameSimulation({ seed: 1, rules: { wrap } });
+    sim.addPlayer('a', 'A');
+    sim.addPlayer('b', 'B');
+    startRound(sim);
+    const a = sim.players.a;
+    place(a, sim.grid.width - 20, 450, 0);
+
+    const events = [];
+    for (let i = 0; i < 30; i++) events.push(...sim.step({}));
+    if (wrap) {
+      assert.equal(a.alive, true);
+      assert.ok(a.x < 100, 'should come in at the left edge');
+    } else {
+      assert.deepEqual(events.filter((e) => e.type === 'death').map((e) => [e.id, e.cause]), [['a', 'wall']]);
+    }
+  }
+});
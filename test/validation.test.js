@@ -0,0 +1,108 @@
+// Host-side checks on what clients send: message schemas, callsigns and the
+// per-connection rate limit.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateClientMessage, sanitizeName, PeerGuard, MAX_NAME_LENGTH, MAX_PASSWORD_LENGTH
+} from '../src/validation.js';
+import { sanitizeChat, MAX_CHAT_LENGTH } from '../src/chat.js';
+
+test('well-formed client messages pass', () => {
+  const ok = [
+    { type: 'join', name: 'ALICE' },
+    { type: 'join', name: 'ALICE', playerId: 'p1', token: 't', protocols: [2, 1], spectate: false, password: 'pw' },
+    { type: 'join', name: 'ALICE', token: null, password: null }, // optional fields may be null
+    { type: 'input', update: { turning: -1 } },
+    { type: 'role', role: 'spectator' },
+    { type: 'team', team: 1 },
+    { type: 'color', color: 5 },
+    { type: 'ready', ready: true },
+    { type: 'chat', text: 'gg' },
+    { type: 'emote', emote: 0 },
+    { type: 'ack', sq: 0xffffffff },
+    { type: 'ping', t: 123.5 },
+    { type: 'pong' },
+    { type: 'snapshotRequest' },
+    { type: 'restart', extra: 'ignored' }
+  ];
+  for (const msg of ok) assert.equal(validateClientMessage(msg), null, JSON.stringify(msg));
+});
+
+test('malformed client messages are rejected with a reason', () => {
+  const bad = [
+    null,
+    'join',
+    [],
+    {},
+    { type: 7 },
+    { type: 'state', state: {} },         // host -> client only
+    { type: 'gameStart' },
+    { type: 'join' },                     // no name
+    { type: 'join', name: 'x'.repeat(65) },
+    { type: 'join', name: 'A', protocols: 'all' },
+    { type: 'join', name: 'A', protocols: [1, 2, 3, 4, 5, 6, 7, 8, 9] },
+    { type: 'join', name: 'A', password: 'x'.repeat(MAX_PASSWORD_LENGTH + 1) },
+    { type: 'join', name: 'A', spectate: 'yes' },
+    { type: 'input', update: { turning: 2 } },
+    { type: 'input', update: null },
+    { type: 'input', turning: 1 },
+    { type: 'role', role: 'host' },
+    { type: 'team', team: -1 },
+    { type: 'team', team: 0.5 },
+    { type: 'color', color: 99 },
+    { type: 'ready', ready: 1 },
+    { type: 'chat', text: 'x'.repeat(MAX_CHAT_LENGTH + 1) },
+    { type: 'emote', emote: 1000 },
+    { type: 'ack', sq: -1 },
+    { type: 'ack', sq: 2 ** 32 },
+    { type: 'ping', t: Infinity }
+  ];
+  for (const msg of bad) {
+    const reason = validateClientMessage(msg);
+    assert.equal(typeof reason, 'string', JSON.stringify(msg));
+  }
+  assert.match(validateClientMessage({ type: 'input', update: { turning: 5 } }), /update/);
+  assert.match(validateClientMessage({ type: 'x'.repeat(500) }), /^unexpected message type x{32}$/);
+});
+
+test('names lose hidden characters and extra space, and are capped', () => {
+  assert.equal(sanitizeName('  ALICE  '), 'ALICE');
+  assert.equal(sanitizeName('AL\u0000I\u0007CE'), 'ALICE');
+  assert.equal(sanitizeName('EVIL\u202eLIVE'), 'EVILLIVE');
+  assert.equal(sanitizeName('ZERO\u200bWIDTH'), 'ZEROWIDTH');
+  assert.equal(sanitizeName('A \n\t B'), 'A B');
+  assert.equal(sanitizeName('<b>hi</b>'), '<b>hi</b>'); // rendered as text, so kept
+  assert.equal(sanitizeName('X'.repeat(40)).length, MAX_NAME_LENGTH);
+  assert.equal(sanitizeName(''), 'Player');
+  assert.equal(sanitizeName('\u2066\u2069 '), 'Player');
+  assert.equal(sanitizeName(42), '42');
+});
+
+test('chat uses the same filter, capped at the chat length', () => {
+  assert.equal(sanitizeChat(' hi\u202e  there\n'), 'hi there');
+  assert.equal(sanitizeChat('y'.repeat(500)).length, MAX_CHAT_LENGTH);
+  assert.equal(sanitizeChat('\u200b'), '');
+});
+
+test('PeerGuard allows bursts, refills over time and strikes out floods', () => {
+  const guard = new PeerGuard(0);
+  let allowed = 0;
+  while (guard.take(0)) allowed++;
+  assert.ok(allowed > 10 && allowed < 1000);
+  assert.equal(guard.take(0), false);
+  assert.equal(guard.take(1000), true); // a second later there is budget again
+
+  const strikes = new PeerGuard(0);
+  let kicked = false;
+  let count = 0;
+  while (!kicked && count < 100) {
+    kicked = strikes.strike(0);
+    count++;
+  }
+  assert.ok(kicked && count > 1);
+
+  // Strikes spread out enough are forgiven
+  const patient = new PeerGuard(0);
+  for (let i = 0; i < 100; i++) assert.equal(patient.strike(i * 60000), false);
+});